@@ -1,24 +1,64 @@
 const express = require("express");
 const cors = require("cors");
 require("dotenv").config();
+// Fail at boot with every missing/malformed setting listed (lib/config.js)
+require("./lib/config").assertConfig();
 
+const healthRoutes = require("./routes/health");
 const shopifyRoutes = require("./routes/shopify");
+const webhookRoutes = require("./routes/webhooks");
+const { requestId } = require("./lib/requestId");
+const { logger, requestLogger } = require("./lib/logger");
+const { requestMetrics } = require("./lib/metrics");
+const { registry, resolveStore } = require("./lib/stores");
+const { resolveLocale } = require("./lib/localization");
+const { notFound, errorHandler } = require("./lib/errors");
 
 const app = express();
+// Proxy hops to trust for req.ip (rate limits) – e.g. 1 behind Vercel
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+app.use(requestId);
+app.use(requestLogger);
+app.use(requestMetrics);
+// Probes and scrapers send no store or origin – mount before both
+app.use(healthRoutes);
+// Resolve the store first – CORS and every router depend on it
+app.use(resolveStore);
+// Preflights can't carry X-Store-Id, so they accept any store's origin; the
+// actual request is still checked against its own store's list
 app.use(
-  cors({
-    origin: process.env.ALLOWED_ORIGINS.split(" "),
-  })
+  cors((req, callback) =>
+    callback(null, {
+      origin:
+        req.method === "OPTIONS"
+          ? registry.allowedOrigins
+          : req.store.allowedOrigins,
+    })
+  )
 );
+// Webhooks parse their own raw body (HMAC check) – mount before express.json()
+app.use("/api/webhooks", webhookRoutes);
 app.use(express.json());
 
+app.use("/api", resolveLocale);
 app.use("/api", shopifyRoutes);
+app.use("/api", notFound);
 
 app.get('/', (req, res) => {
   res.send('server is running');
 });
 
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () =>
-  console.log(`Server running on http://localhost:${PORT}`)
-);
+app.use(errorHandler);
+
+// Listen only when run directly – tests and serverless hosts import the app
+if (require.main === module) {
+  const PORT = process.env.PORT || 4000;
+  app.listen(PORT, () =>
+    logger.info(`Server running on http://localhost:${PORT}`)
+  );
+}
+
+module.exports = app;
@@ -0,0 +1,85 @@
+// Customer session middleware
+// --------------------------------------------------------------
+// • Reads the customer access token from `Authorization: Bearer <token>`
+//   (a bare token is still accepted for older clients).
+// • Validates it against Shopify, caching the lookup briefly so a page that
+//   fires several authenticated requests costs one upstream call.
+// • On success attaches `req.customer` and `req.customerAccessToken`.
+// --------------------------------------------------------------
+
+const crypto = require("crypto");
+const { gql } = require("graphql-request");
+const { storefront } = require("./shopify");
+const { storeKey } = require("./stores");
+const { createCache } = require("./cache");
+const { createMemoryStore } = require("./kv");
+const { UnauthorizedError } = require("./errors");
+
+const SESSION_POLICY = { ttl: 60 };
+const sessionCache = createCache({ store: createMemoryStore({ max: 1000 }) });
+
+// Never key the cache by the raw token; tokens are only valid for one store
+const sessionKey = (token) =>
+  storeKey(crypto.createHash("sha256").update(token).digest("hex"));
+
+/** Extract the customer access token from the Authorization header. */
+function bearerToken(req) {
+  const header = req.get("Authorization");
+  if (!header) return null;
+  const match = /^Bearer\s+(.+)$/i.exec(header.trim());
+  return (match ? match[1] : header).trim() || null;
+}
+
+const SESSION_QUERY = gql`
+  query Session($token: String!) {
+    customer(customerAccessToken: $token) {
+      id
+      email
+      firstName
+      lastName
+      displayName
+    }
+  }
+`;
+
+/** Resolve the customer behind `token`, or null when invalid/expired. */
+function lookupCustomer(token) {
+  return sessionCache.wrap(sessionKey(token), SESSION_POLICY, async () => {
+    const data = await storefront(SESSION_QUERY, { token });
+    return data.customer || null;
+  });
+}
+
+/** Drop a token from the session cache (logout, renewal). */
+function forgetToken(token) {
+  return sessionCache.delete(sessionKey(token));
+}
+
+/**
+ * Express middleware rejecting requests without a valid customer token.
+ */
+async function requireCustomer(req, res, next) {
+  const token = bearerToken(req);
+  if (!token)
+    return next(new UnauthorizedError("Missing customer access token"));
+  try {
+    const customer = await lookupCustomer(token);
+    if (!customer)
+      return next(
+        new UnauthorizedError("Invalid or expired customer access token")
+      );
+    req.customer = customer;
+    req.customerAccessToken = token;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  bearerToken,
+  lookupCustomer,
+  requireCustomer,
+  forgetToken,
+  sessionCache,
+};
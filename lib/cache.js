@@ -0,0 +1,204 @@
+// Response cache for Storefront queries
+// --------------------------------------------------------------
+// • Per‑call TTLs with stale‑while‑revalidate: stale entries are served
+//   immediately while a single background refresh runs.
+// • Identical concurrent misses share one upstream request.
+// • Backed by any lib/kv.js adapter – LRU memory by default.
+// • Entries can be tagged and purged by tag (see routes/webhooks.js). Tag
+//   indexes live in their own, larger store so filling a page with
+//   thousands of tags can't evict the page itself.
+// • Optional environment variables:
+//     CACHE_STORE (memory | file), CACHE_MAX_ENTRIES, CACHE_DIR
+// --------------------------------------------------------------
+
+const crypto = require("crypto");
+const { createMemoryStore, kvFromEnv } = require("./kv");
+const { currentLogger } = require("./logger");
+
+// Tag indexes are tiny; one page can carry thousands of them
+const TAG_INDEX_MAX = 100000;
+
+/**
+ * Create a cache in front of an async fetcher.
+ * `ttl` and `swr` are expressed in seconds; `ttl` may also be a function of
+ * the fetched value (e.g. shorter for partial results).
+ */
+function createCache({
+  store = createMemoryStore(),
+  tagStore = createMemoryStore({ max: TAG_INDEX_MAX }),
+} = {}) {
+  const inflight = new Map();
+  const tagKey = (tag) => `tag:${tag}`;
+
+  // Index updates are read-modify-write: run them one at a time per tag so
+  // concurrent fills can't drop each other's keys (per process – shared
+  // stores may still race across instances)
+  const tagQueues = new Map();
+  function withTag(tag, update) {
+    const run = (tagQueues.get(tag) || Promise.resolve()).then(update, update);
+    const settled = run.then(
+      () => {},
+      () => {}
+    );
+    tagQueues.set(tag, settled);
+    settled.then(() => {
+      if (tagQueues.get(tag) === settled) tagQueues.delete(tag);
+    });
+    return run;
+  }
+
+  // Each tag maps to the list of entry keys carrying it
+  async function addToTags(key, tags, lifetimeMs) {
+    const expiresAt = Date.now() + lifetimeMs;
+    for (const tag of new Set(tags)) {
+      await withTag(tag, async () => {
+        const index = (await cache.tagStore.get(tagKey(tag))) || {
+          keys: [],
+          expiresAt,
+        };
+        if (!index.keys.includes(key)) index.keys.push(key);
+        index.expiresAt = Math.max(index.expiresAt, expiresAt);
+        await cache.tagStore.set(
+          tagKey(tag),
+          index,
+          index.expiresAt - Date.now()
+        );
+      });
+    }
+  }
+
+  function refresh(key, { ttl, swr = 0, tags }, fetcher) {
+    if (inflight.has(key)) return inflight.get(key);
+    const pending = (async () => {
+      const value = await fetcher();
+      const now = Date.now();
+      const freshFor = typeof ttl === "function" ? ttl(value) : ttl;
+      const lifetimeMs = (freshFor + swr) * 1000;
+      await cache.store.set(
+        key,
+        {
+          value,
+          freshUntil: now + freshFor * 1000,
+          staleUntil: now + lifetimeMs,
+        },
+        lifetimeMs
+      );
+      const entryTags = typeof tags === "function" ? tags(value) : tags;
+      if (entryTags?.length) await addToTags(key, entryTags, lifetimeMs);
+      return value;
+    })().finally(() => inflight.delete(key));
+    inflight.set(key, pending);
+    return pending;
+  }
+
+  const cache = {
+    store,
+    tagStore,
+
+    /** Return the cached value for `key`, fetching it when missing/expired. */
+    async wrap(key, policy, fetcher) {
+      const entry = await cache.store.get(key);
+      const now = Date.now();
+      if (entry && now < entry.freshUntil) return entry.value;
+      if (entry && now < entry.staleUntil) {
+        // Serve stale, refresh in the background – failures keep the old entry
+        refresh(key, policy, fetcher).catch((err) =>
+          currentLogger().warn("Background cache refresh failed", { key, err })
+        );
+        return entry.value;
+      }
+      return refresh(key, policy, fetcher);
+    },
+
+    delete(key) {
+      return cache.store.delete(key);
+    },
+
+    /** Drop every entry tagged with any of `tags`. Returns the purge count. */
+    async purgeTags(tags) {
+      const keys = new Set();
+      for (const tag of new Set(tags)) {
+        await withTag(tag, async () => {
+          const index = await cache.tagStore.get(tagKey(tag));
+          if (!index) return;
+          index.keys.forEach((key) => keys.add(key));
+          await cache.tagStore.delete(tagKey(tag));
+        });
+      }
+      await Promise.all([...keys].map((key) => cache.store.delete(key)));
+      return keys.size;
+    },
+
+    /**
+     * Swap the backing adapters (e.g. a Redis-backed one at startup). Tag
+     * indexes move to `nextTagStore`, or to `next` when it is omitted.
+     */
+    useStore(next, nextTagStore = next) {
+      cache.store = next;
+      cache.tagStore = nextTagStore;
+    },
+  };
+  return cache;
+}
+
+/** Stable cache key for a GraphQL document + variables pair. */
+function queryKey(query, variables = {}) {
+  return crypto
+    .createHash("sha1")
+    .update(String(query))
+    .update(JSON.stringify(variables))
+    .digest("hex");
+}
+
+/**
+ * Collect purge tags for every Shopify product/collection found in a
+ * Storefront response: its GID plus `product:<handle>` /
+ * `collection:<handle>`.
+ */
+function entityTags(data, tags = new Set()) {
+  if (Array.isArray(data)) {
+    data.forEach((item) => entityTags(item, tags));
+  } else if (data && typeof data === "object") {
+    const match = /^gid:\/\/shopify\/(Product|Collection)\//.exec(data.id);
+    if (match) {
+      tags.add(data.id);
+      if (data.handle) tags.add(`${match[1].toLowerCase()}:${data.handle}`);
+    }
+    Object.values(data).forEach((value) => entityTags(value, tags));
+  }
+  return [...tags];
+}
+
+/**
+ * Express middleware setting `Cache-Control` for a cache policy. ETag
+ * generation and `304 Not Modified` handling come from Express itself
+ * (`res.json` hashes the body and checks `If-None-Match`).
+ */
+const cacheControl =
+  ({ ttl, swr = 0 }) =>
+  (req, res, next) => {
+    res.set(
+      "Cache-Control",
+      `public, max-age=${ttl}, stale-while-revalidate=${swr}`
+    );
+    next();
+  };
+
+// Shared instance used by the catalogue routes. A file store is unbounded,
+// so it keeps the tag indexes too – they must outlive a restart as well.
+const catalogueStore = kvFromEnv("CACHE_STORE", {
+  dirVar: "CACHE_DIR",
+  max: Number(process.env.CACHE_MAX_ENTRIES) || undefined,
+});
+const catalogueCache = createCache({
+  store: catalogueStore,
+  ...(process.env.CACHE_STORE === "file" && { tagStore: catalogueStore }),
+});
+
+module.exports = {
+  createCache,
+  queryKey,
+  entityTags,
+  cacheControl,
+  catalogueCache,
+};
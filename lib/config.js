@@ -0,0 +1,250 @@
+// Startup configuration check
+// --------------------------------------------------------------
+// • checkConfig() lists every missing or malformed setting at once – a
+//   deployment fixing its env one variable per crash is no fun.
+// • assertConfig() throws a ConfigError carrying that list; index.js calls
+//   it right after loading .env, before anything reads the config.
+// • Single store (no SHOPIFY_STORES / SHOPIFY_STORES_FILE) – required:
+//     SHOPIFY_DOMAIN            bare host, e.g. my-shop.myshopify.com
+//     SHOPIFY_STOREFRONT_TOKEN
+//     SHOPIFY_ADMIN_API_TOKEN
+//     ALLOWED_ORIGINS           comma/space separated origins
+//                               (https://shop.example.com, no path)
+// • Store registry – every entry is checked the same way (see
+//   lib/stores.js); `adminToken` and `allowedOrigins` stay optional there.
+// • Numeric tuning variables (PORT, SHOPIFY_TIMEOUT_MS, …), LOG_LEVEL,
+//   RATE_LIMITS (lib/rateLimit.js) and the WISHLIST_* settings
+//   (lib/wishlists.js) are checked when set.
+// --------------------------------------------------------------
+
+const fs = require("fs");
+
+const STORE_ID = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const API_VERSION = /^\d{4}-\d{2}$|^unstable$/;
+const HOSTNAME = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+const NUMERIC_VARS = [
+  "PORT",
+  "SHOPIFY_TIMEOUT_MS",
+  "SHOPIFY_MAX_RETRIES",
+  "SHOPIFY_RETRY_BASE_MS",
+  "SHOPIFY_BREAKER_THRESHOLD",
+  "SHOPIFY_BREAKER_COOLDOWN_MS",
+  "READY_TIMEOUT_MS",
+  "READY_CACHE_SEC",
+  "LOGIN_LOCKOUT_ATTEMPTS",
+  "LOGIN_LOCKOUT_SEC",
+];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems.map((p) => `  - ${p}`).join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(/[\s,]+/)).filter(
+    Boolean
+  );
+
+/** An exact origin as CORS compares it: scheme://host[:port], no path. */
+function isOrigin(value) {
+  try {
+    return new URL(value).origin === value;
+  } catch {
+    return false;
+  }
+}
+
+function isUrl(value) {
+  try {
+    return /^https?:$/.test(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Store fields: [field, env variable, check → problem | null]
+const STORE_FIELDS = [
+  ["id", null, (v) => !STORE_ID.test(v || "") && "must be a lowercase slug"],
+  [
+    "domain",
+    "SHOPIFY_DOMAIN",
+    (v) =>
+      !HOSTNAME.test(v) &&
+      "must be a bare hostname (e.g. my-shop.myshopify.com)",
+  ],
+  ["storefrontToken", "SHOPIFY_STOREFRONT_TOKEN", () => null],
+  ["adminToken", "SHOPIFY_ADMIN_API_TOKEN", () => null],
+  ["webhookSecret", "SHOPIFY_WEBHOOK_SECRET", () => null],
+  [
+    "apiVersion",
+    "SHOPIFY_API_VERSION",
+    (v) => !API_VERSION.test(v) && `invalid version "${v}" (YYYY-MM)`,
+  ],
+  [
+    "allowedOrigins",
+    "ALLOWED_ORIGINS",
+    (v) => {
+      const invalid = toList(v).filter((origin) => !isOrigin(origin));
+      return invalid.length > 0 && `not origins: ${invalid.join(", ")}`;
+    },
+  ],
+  [
+    "storefrontEndpoint",
+    "SHOPIFY_STOREFRONT_ENDPOINT",
+    (v) => !isUrl(v) && "must be an http(s) URL",
+  ],
+  [
+    "adminEndpoint",
+    "SHOPIFY_ADMIN_ENDPOINT",
+    (v) => !isUrl(v) && "must be an http(s) URL",
+  ],
+];
+
+const REQUIRED = ["id", "domain", "storefrontToken"];
+// The single env store is the whole deployment – it needs everything
+const REQUIRED_FROM_ENV = [...REQUIRED, "adminToken", "allowedOrigins"];
+
+const isBlank = (value) =>
+  value === undefined || value === null || toList(value).length === 0;
+
+/**
+ * Problems with one store entry. `fromEnv` names the environment variables
+ * instead of the fields (the single store built from them).
+ */
+function storeProblems(entry, { fromEnv = false } = {}) {
+  const required = fromEnv ? REQUIRED_FROM_ENV : REQUIRED;
+  return STORE_FIELDS.flatMap(([field, envName, check]) => {
+    const name = fromEnv ? envName : `"${field}"`;
+    const value = entry[field];
+    if (isBlank(value))
+      return required.includes(field) ? [`${name} is missing`] : [];
+    const problem = check(value);
+    return problem ? [`${name} ${problem}`] : [];
+  });
+}
+
+/** Problems with a store registry (array of entries, see lib/stores.js). */
+function registryProblems(entries) {
+  if (!Array.isArray(entries) || !entries.length)
+    return ["Store registry must be a non-empty array"];
+  const seen = new Set();
+  return entries.flatMap((entry, index) => {
+    const where = `store #${index + 1}${entry?.id ? ` (${entry.id})` : ""}`;
+    if (!entry || typeof entry !== "object")
+      return [`${where}: must be an object`];
+    const problems = storeProblems(entry).map((p) => `${where}: ${p}`);
+    if (seen.has(entry.id)) problems.push(`Duplicate store id "${entry.id}"`);
+    seen.add(entry.id);
+    return problems;
+  });
+}
+
+/**
+ * Raw registry entries from SHOPIFY_STORES / SHOPIFY_STORES_FILE, or null
+ * when neither is set. Throws a ConfigError on unreadable or invalid JSON.
+ */
+function readRegistry(env = process.env) {
+  const name = env.SHOPIFY_STORES ? "SHOPIFY_STORES" : "SHOPIFY_STORES_FILE";
+  if (!env[name]) return null;
+  try {
+    return JSON.parse(
+      env.SHOPIFY_STORES || fs.readFileSync(env.SHOPIFY_STORES_FILE, "utf8")
+    );
+  } catch (err) {
+    throw new ConfigError([`${name} could not be read: ${err.message}`]);
+  }
+}
+
+/** The single store described by the original environment variables. */
+const storeFromEnv = (env = process.env) => ({
+  id: "default",
+  ...Object.fromEntries(
+    STORE_FIELDS.filter(([, envName]) => envName).map(([field, envName]) => [
+      field,
+      env[envName],
+    ])
+  ),
+});
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+/** Problems with RATE_LIMITS: {policy: {rule: {limit, windowSec}}}. */
+function rateLimitProblems(json) {
+  let policies;
+  try {
+    policies = JSON.parse(json);
+  } catch (err) {
+    return [`RATE_LIMITS is not valid JSON: ${err.message}`];
+  }
+  if (!policies || typeof policies !== "object" || Array.isArray(policies))
+    return ["RATE_LIMITS must be an object of policies"];
+  return Object.entries(policies).flatMap(([policy, rules]) =>
+    Object.entries(rules || {})
+      .filter(
+        ([rule, options]) =>
+          !["ip", "email"].includes(rule) ||
+          !isPositiveInt(options?.limit) ||
+          !isPositiveInt(options?.windowSec)
+      )
+      .map(
+        ([rule]) =>
+          `RATE_LIMITS ${policy}.${rule} must be ip|email with a positive integer limit and windowSec`
+      )
+  );
+}
+
+/** Every problem with `env`, as human-readable lines (empty when valid). */
+function checkConfig(env = process.env) {
+  const problems = [];
+  try {
+    const entries = readRegistry(env);
+    problems.push(
+      ...(entries
+        ? registryProblems(entries)
+        : storeProblems(storeFromEnv(env), { fromEnv: true }))
+    );
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    problems.push(...err.problems);
+  }
+  NUMERIC_VARS.filter((name) => env[name]).forEach((name) => {
+    if (!/^\d+$/.test(env[name]))
+      problems.push(`${name} must be a non-negative integer`);
+  });
+  if (env.RATE_LIMITS) problems.push(...rateLimitProblems(env.RATE_LIMITS));
+  if (
+    env.WISHLIST_METAFIELD &&
+    !/^[\w-]+\.[\w-]+$/.test(env.WISHLIST_METAFIELD)
+  )
+    problems.push("WISHLIST_METAFIELD must be namespace.key");
+  if (
+    env.WISHLIST_STORE &&
+    !["metafield", "memory", "file"].includes(env.WISHLIST_STORE)
+  )
+    problems.push("WISHLIST_STORE must be one of metafield, memory, file");
+  if (env.LOG_LEVEL && !LOG_LEVELS.includes(env.LOG_LEVEL))
+    problems.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(", ")}`);
+  return problems;
+}
+
+/** Throw a ConfigError listing every problem with `env`. */
+function assertConfig(env = process.env) {
+  const problems = checkConfig(env);
+  if (problems.length) throw new ConfigError(problems);
+}
+
+module.exports = {
+  ConfigError,
+  toList,
+  registryProblems,
+  readRegistry,
+  storeFromEnv,
+  checkConfig,
+  assertConfig,
+};
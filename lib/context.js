@@ -0,0 +1,19 @@
+// Per‑request context
+// --------------------------------------------------------------
+// AsyncLocalStorage carrying values resolved once per request (store,
+// locale, …) to code that has no `req` – storefront(), caches. Middleware
+// adds values with runWithContext(); nested calls inherit outer values.
+// --------------------------------------------------------------
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+/** Values of the current request, or `{}` outside one. */
+const getContext = () => storage.getStore() || {};
+
+/** Run `fn` with `values` merged over the current context. */
+const runWithContext = (values, fn) =>
+  storage.run({ ...getContext(), ...values }, fn);
+
+module.exports = { getContext, runWithContext };
@@ -0,0 +1,169 @@
+// Admin API enrichment for Storefront product lists
+// --------------------------------------------------------------
+// The Storefront API can't see a product's status, its inventory count or
+// metafields that aren't exposed to the storefront. enrichProducts() looks
+// them up through the Admin API and filters and/or annotates the products.
+// • Lookups are batched (`nodes(ids:)`, 250 per call) and cached, tagged by
+//   product GID so product/inventory webhooks purge them with the catalogue.
+// • Opt‑in per request (see ADMIN_FILTER_QUERY in routes/shopify.js):
+//     status=active (repeatable)   inStock=true   metafield=custom.badge:new
+//     annotate=true  → adds `admin: { status, totalInventory, metafields }`
+//   Annotated responses are never publicly cacheable (routes/shopify.js).
+// • Only ADMIN_METAFIELDS can be read or filtered on – private metafields
+//   stay private. Stores without an Admin token answer 400.
+// • Optional environment variable:
+//     ADMIN_METAFIELDS – "namespace.key" allowlist, fetched for annotation
+// --------------------------------------------------------------
+
+const { gql } = require("graphql-request");
+const { admin } = require("./shopify");
+const { catalogueCache, queryKey } = require("./cache");
+const { currentStore, storeKey } = require("./stores");
+const { ApiError } = require("./errors");
+
+const ADMIN_POLICY = { ttl: 60, swr: 300 };
+const BATCH_SIZE = 250; // `nodes(ids:)` limit
+
+// namespace.key, optionally followed by :value (filters only)
+const METAFIELD_REF = /^([\w-]+)\.([\w-]+)(?::(.*))?$/;
+
+const ANNOTATED_METAFIELDS = (process.env.ADMIN_METAFIELDS || "")
+  .split(/[\s,]+/)
+  .filter((ref) => /^[\w-]+\.[\w-]+$/.test(ref));
+
+// `metafield` params: an ADMIN_METAFIELDS ref, optionally `:value` – no
+// allowlist, nothing matches
+const ALLOWED_METAFIELD_FILTER = new RegExp(
+  `^(?:${
+    ANNOTATED_METAFIELDS.map((ref) => ref.replace(".", "\\.")).join("|") ||
+    "(?!)"
+  })(?::.*)?$`
+);
+
+const toArray = (value) => (value === undefined ? [] : [].concat(value));
+
+/** Parse `metafield` filter params into `{ ref, value }` (value optional). */
+function metafieldFilters(params) {
+  return toArray(params.metafield).map((filter) => {
+    const [, namespace, key, value] = METAFIELD_REF.exec(filter);
+    return { ref: `${namespace}.${key}`, value };
+  });
+}
+
+/** Whether the request asks for anything – otherwise skip the Admin call. */
+const wantsEnrichment = (params) =>
+  params.annotate === true ||
+  ["status", "inStock", "metafield"].some((name) => params[name] !== undefined);
+
+/**
+ * Admin query for a batch of products. Metafields are aliased `mf0…mfN`;
+ * refs are validated by METAFIELD_REF so interpolation is safe.
+ */
+function productsQuery(refs) {
+  const metafields = refs
+    .map((ref, i) => {
+      const [namespace, key] = ref.split(".");
+      return `mf${i}: metafield(namespace: "${namespace}", key: "${key}") { value }`;
+    })
+    .join("\n");
+  return gql`
+    query AdminProducts($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          status
+          totalInventory
+          tracksInventory
+          ${metafields}
+        }
+      }
+    }
+  `;
+}
+
+/**
+ * Fetch Admin data for `ids` → Map of GID → `{ status, totalInventory,
+ * tracksInventory, metafields }`. Unknown ids are simply absent.
+ */
+async function lookupProducts(ids, refs) {
+  const store = currentStore();
+  const query = productsQuery(refs);
+  const batches = [];
+  for (let i = 0; i < ids.length; i += BATCH_SIZE)
+    batches.push(ids.slice(i, i + BATCH_SIZE));
+
+  const results = await Promise.all(
+    batches.map((batch) =>
+      catalogueCache.wrap(
+        storeKey(`admin:${queryKey(query, { ids: batch })}`, store),
+        { ...ADMIN_POLICY, tags: batch.map((id) => storeKey(id, store)) },
+        async () => (await admin(query, { ids: batch }, store)).nodes
+      )
+    )
+  );
+
+  const info = new Map();
+  results.flat().forEach((node) => {
+    if (!node?.id) return;
+    info.set(node.id, {
+      status: node.status,
+      totalInventory: node.totalInventory,
+      tracksInventory: node.tracksInventory,
+      metafields: Object.fromEntries(
+        refs.map((ref, i) => [ref, node[`mf${i}`]?.value ?? null])
+      ),
+    });
+  });
+  return info;
+}
+
+/**
+ * Filter and/or annotate Storefront products (objects with an `id`) using
+ * Admin data. Order is preserved; products unknown to the Admin API are
+ * dropped whenever a filter is active.
+ */
+async function enrichProducts(products, params) {
+  if (!wantsEnrichment(params)) return products;
+  if (!currentStore().adminToken)
+    throw new ApiError("Admin filters aren't available for this store", {
+      status: 400,
+      code: "ADMIN_NOT_CONFIGURED",
+    });
+  if (!products.length) return products;
+
+  const statuses = toArray(params.status).map((s) => s.toUpperCase());
+  const filters = metafieldFilters(params);
+  const refs = [
+    ...new Set([...ANNOTATED_METAFIELDS, ...filters.map((f) => f.ref)]),
+  ];
+  const ids = [...new Set(products.map((p) => p.id))];
+  const info = await lookupProducts(ids, refs);
+
+  const matches = (data) => {
+    if (!data) return false;
+    if (statuses.length && !statuses.includes(data.status)) return false;
+    if (
+      params.inStock !== undefined &&
+      // Untracked inventory never runs out
+      (!data.tracksInventory || data.totalInventory > 0) !== params.inStock
+    )
+      return false;
+    return filters.every(({ ref, value }) =>
+      value === undefined
+        ? data.metafields[ref] !== null
+        : data.metafields[ref] === value
+    );
+  };
+  const filtering =
+    statuses.length || params.inStock !== undefined || filters.length;
+
+  return products
+    .filter((product) => !filtering || matches(info.get(product.id)))
+    .map((product) =>
+      params.annotate
+        ? { ...product, admin: info.get(product.id) || null }
+        : product
+    );
+}
+
+module.exports = { enrichProducts, ALLOWED_METAFIELD_FILTER };
@@ -0,0 +1,153 @@
+// Error model shared by every router
+// --------------------------------------------------------------
+// • Typed errors carry an HTTP status and a stable machine‑readable `code`.
+// • Handlers just throw (or let storefront() throw); `errorHandler` turns
+//   the error into the uniform response body:
+//     { error, code, details?, requestId }
+// --------------------------------------------------------------
+
+const { currentLogger } = require("./logger");
+
+class ApiError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+/** Request failed schema validation (see lib/validate.js). */
+class ValidationError extends ApiError {
+  constructor(details) {
+    super("Validation failed", {
+      status: 422,
+      code: "VALIDATION_FAILED",
+      details,
+    });
+  }
+}
+
+/** Shopify rejected the input (`userErrors` / `customerUserErrors`). */
+class UserError extends ApiError {
+  constructor(message, details) {
+    super(message, { status: 400, code: "USER_ERROR", details });
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message = "Unauthorized", details) {
+    super(message, { status: 401, code: "UNAUTHORIZED", details });
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = "Not found") {
+    super(message, { status: 404, code: "NOT_FOUND" });
+  }
+}
+
+/** Shopify throttled us – `retryAfter` is in seconds when known. */
+class ThrottledError extends ApiError {
+  constructor(message = "Shopify API rate limit exceeded", retryAfter) {
+    super(message, { status: 429, code: "THROTTLED" });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * A client exceeded one of our own limits (lib/rateLimit.js) –
+ * `retryAfter` is in seconds.
+ */
+class RateLimitedError extends ApiError {
+  constructor(
+    message = "Too many requests",
+    retryAfter,
+    code = "RATE_LIMITED"
+  ) {
+    super(message, { status: 429, code });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** Shopify answered with an error or an unusable response. */
+class UpstreamError extends ApiError {
+  constructor(message = "Shopify request failed", details) {
+    super(message, { status: 502, code: "UPSTREAM_ERROR", details });
+  }
+}
+
+/** Shopify didn't answer in time. */
+class UpstreamTimeoutError extends ApiError {
+  constructor(message = "Shopify request timed out") {
+    super(message, { status: 504, code: "UPSTREAM_TIMEOUT" });
+  }
+}
+
+/** Circuit breaker is open – we stopped calling Shopify for a while. */
+class UpstreamUnavailableError extends ApiError {
+  constructor(message = "Shopify is temporarily unavailable", retryAfter) {
+    super(message, { status: 503, code: "UPSTREAM_UNAVAILABLE" });
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Wrap an async route handler so rejections reach `errorHandler`
+ * (Express 4 ignores returned promises).
+ */
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+/** Fallback for unmatched routes. */
+const notFound = (req, res, next) =>
+  next(new NotFoundError(`Route not found: ${req.method} ${req.path}`));
+
+/**
+ * Express error‑handling middleware – maps any thrown error to a status,
+ * code and JSON body. Express only treats 4‑argument functions as error
+ * handlers, hence the unused `next`.
+ */
+function errorHandler(err, req, res, next) {
+  let error = err;
+  if (!(error instanceof ApiError)) {
+    if (err.type === "entity.parse.failed")
+      error = new ApiError("Malformed JSON body", {
+        status: 400,
+        code: "INVALID_JSON",
+      });
+    else {
+      currentLogger().error("Unhandled error", { err });
+      error = new ApiError("Internal server error");
+    }
+  }
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  // Overrides any caching headers the route set before failing
+  res.set("Cache-Control", "no-store");
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code,
+    ...(error.details !== undefined && { details: error.details }),
+    requestId: req.id,
+  });
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  UserError,
+  UnauthorizedError,
+  NotFoundError,
+  ThrottledError,
+  RateLimitedError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  UpstreamUnavailableError,
+  asyncHandler,
+  notFound,
+  errorHandler,
+};
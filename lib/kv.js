@@ -0,0 +1,106 @@
+// Key/value store adapters
+// --------------------------------------------------------------
+// Every adapter exposes the same async interface so callers (cache, …) can
+// swap backends without code changes:
+//   get(key)                 → value | undefined
+//   set(key, value, ttlMs?)  → void   (ttlMs omitted = no expiry)
+//   delete(key)              → void
+// Values must be JSON‑serialisable. A shared backend (Redis…) is any object
+// with this interface, handed to the owner's useStore() at startup.
+// kvFromEnv() picks memory or file from an environment variable
+// (CACHE_STORE, CART_STORE, WISHLIST_STORE).
+// --------------------------------------------------------------
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * In‑memory LRU store. Least recently used keys are evicted once `max`
+ * entries are held.
+ */
+function createMemoryStore({ max = 500 } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      // Re‑insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, {
+        value,
+        expiresAt: ttlMs ? Date.now() + ttlMs : null,
+      });
+      while (entries.size > max) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * File‑backed store – one JSON file per key under `dir`. Survives restarts,
+ * handy for single‑instance deployments.
+ */
+function createFileStore({
+  dir = path.join(os.tmpdir(), "storefront-cache"),
+} = {}) {
+  const fileFor = (key) =>
+    path.join(
+      dir,
+      crypto.createHash("sha1").update(key).digest("hex") + ".json"
+    );
+
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch {
+        return undefined;
+      }
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        await fs.rm(fileFor(key), { force: true });
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      await fs.mkdir(dir, { recursive: true });
+      const entry = { value, expiresAt: ttlMs ? Date.now() + ttlMs : null };
+      await fs.writeFile(fileFor(key), JSON.stringify(entry));
+    },
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+/**
+ * The adapter chosen by the `name` environment variable: "file" stores
+ * under the directory in `dirVar` (default `<name>_DIR`, else `dir`); any
+ * other value is an LRU memory store holding `max` entries.
+ */
+function kvFromEnv(name, { dir, dirVar = `${name}_DIR`, max } = {}) {
+  if (process.env[name] === "file")
+    return createFileStore({ dir: process.env[dirVar] || dir });
+  return createMemoryStore({ max });
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  kvFromEnv,
+};
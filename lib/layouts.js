@@ -0,0 +1,106 @@
+// Page layouts – declared composition of the homepage
+// --------------------------------------------------------------
+// • A layout is an ordered list of sections, each fetched on its own:
+//     [{ "id": "featured", "type": "collection", "handle": "frontpage",
+//        "limit": 8 },
+//      { "id": "new", "type": "newArrivals", "limit": 8 },
+//      { "id": "picks", "type": "products", "handles": ["tee", "cap"] },
+//      { "id": "nav", "type": "menu", "handle": "main-menu" }]
+//   `id` defaults to "<type>-<position>"; `title` is passed through as is.
+// • HOME_LAYOUT holds the JSON itself, HOME_LAYOUT_FILE a path to it:
+//   either one layout for every store or
+//   `{ "<storeId>": [...], "default": [...] }`. Without either, the
+//   homepage is the main menu plus new arrivals.
+// • Layouts are checked when the module loads; an unknown section type or
+//   a duplicate id stops the server instead of blanking part of the page.
+// --------------------------------------------------------------
+
+const fs = require("fs");
+const { currentStore } = require("./stores");
+
+const SECTION_TYPES = ["collection", "newArrivals", "products", "menu"];
+const HANDLE = /^[^\s/]+$/;
+const MAX_LIMIT = 50;
+const DEFAULT_LIMIT = 8;
+const DEFAULT_LAYOUT = [
+  { id: "menu", type: "menu", handle: "main-menu" },
+  { id: "new-arrivals", type: "newArrivals" },
+];
+
+/** Validate one section and fill in defaults. */
+function normaliseSection(section, index) {
+  const where = `Layout section #${index + 1}`;
+  if (!SECTION_TYPES.includes(section.type))
+    throw new Error(
+      `${where}: "type" must be one of ${SECTION_TYPES.join(", ")}`
+    );
+  const out = {
+    id: section.id || `${section.type}-${index + 1}`,
+    type: section.type,
+    title: section.title || null,
+  };
+  if (section.type === "collection" || section.type === "menu") {
+    if (!HANDLE.test(section.handle || ""))
+      throw new Error(`${where}: "handle" is required`);
+    out.handle = section.handle;
+  }
+  if (section.type === "products") {
+    const { handles } = section;
+    if (
+      !Array.isArray(handles) ||
+      !handles.length ||
+      handles.length > MAX_LIMIT ||
+      !handles.every((handle) => HANDLE.test(handle))
+    )
+      throw new Error(
+        `${where}: "handles" must list 1–${MAX_LIMIT} product handles`
+      );
+    out.handles = handles;
+  }
+  if (section.type === "collection" || section.type === "newArrivals") {
+    const limit = section.limit ?? DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)
+      throw new Error(`${where}: "limit" must be 1–${MAX_LIMIT}`);
+    out.limit = limit;
+  }
+  return out;
+}
+
+/**
+ * Normalise every section of a layout; section ids must be unique, as
+ * clients pick sections of the GET /pages/home response by them.
+ */
+function createLayout(sections) {
+  if (!Array.isArray(sections) || !sections.length)
+    throw new Error("Layout must be a non-empty array of sections");
+  const layout = sections.map(normaliseSection);
+  const ids = new Set();
+  layout.forEach(({ id }) => {
+    if (ids.has(id)) throw new Error(`Duplicate layout section id "${id}"`);
+    ids.add(id);
+  });
+  return layout;
+}
+
+function loadLayouts(env = process.env) {
+  let raw = DEFAULT_LAYOUT;
+  if (env.HOME_LAYOUT) raw = JSON.parse(env.HOME_LAYOUT);
+  else if (env.HOME_LAYOUT_FILE)
+    raw = JSON.parse(fs.readFileSync(env.HOME_LAYOUT_FILE, "utf8"));
+  if (Array.isArray(raw)) return { default: createLayout(raw) };
+  return Object.fromEntries(
+    Object.entries(raw).map(([storeId, sections]) => [
+      storeId,
+      createLayout(sections),
+    ])
+  );
+}
+
+const layouts = loadLayouts();
+const builtIn = createLayout(DEFAULT_LAYOUT);
+
+/** Homepage layout of `store` (the "default" entry, else the built‑in). */
+const homeLayout = (store = currentStore()) =>
+  layouts[store.id] || layouts.default || builtIn;
+
+module.exports = { createLayout, homeLayout };
@@ -0,0 +1,163 @@
+// Localization – buyer country & language for the Storefront API
+// --------------------------------------------------------------
+// • resolveLocale picks them once per request, first match wins:
+//     country:  ?country=CA   → X-Country header  → store default
+//     language: ?language=fr  → X-Language header → Accept-Language
+//               → store default
+//   Values are Shopify CountryCode / LanguageCode enums (CA, FR, PT_BR);
+//   "pt-br" or "en-US" style input is normalised. Languages outside the
+//   LanguageCode enum are skipped in Accept-Language and a 422 when asked
+//   for explicitly – Shopify would fail the whole query over them.
+// • storefront() applies them with the `@inContext` directive (inContext());
+//   cached responses are keyed by them and responses `Vary` on the headers.
+// --------------------------------------------------------------
+
+const { getContext, runWithContext } = require("./context");
+const { currentStore } = require("./stores");
+const { ValidationError } = require("./errors");
+
+// Storefront API LanguageCode enum
+const LANGUAGE_CODES = new Set(
+  `AF AK AM AR AS AZ BE BG BM BN BO BR BS CA CE CKB CS CU CY DA DE DZ EE EL
+  EN EO ES ET EU FA FF FI FIL FO FR FY GA GD GL GU GV HA HE HI HR HU HY IA ID
+  IG II IS IT JA JV KA KI KK KL KM KN KO KS KU KW KY LA LB LG LN LO LT LU LV
+  MG MI MK ML MN MO MR MS MT MY NB ND NE NL NN NO OM OR OS PA PL PS PT PT_BR
+  PT_PT QU RM RN RO RU RW SA SC SD SE SG SH SI SK SL SN SO SQ SR SU SV SW TA
+  TE TG TH TI TK TO TR TT UG UK UR UZ VI VO WO XH YI YO ZH ZH_CN ZH_TW
+  ZU`.split(/\s+/)
+);
+
+/** "ca" → "CA"; null when not an ISO 3166‑1 alpha‑2 code. */
+function normaliseCountry(value) {
+  const code = String(value).trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+}
+
+/**
+ * "pt-br" → "PT_BR", "en-US" → "EN"; null when not a language tag or not
+ * a language Shopify knows.
+ */
+function normaliseLanguage(value) {
+  const match = /^([a-z]{2,3})(?:[-_]([a-z]{2,4}))?$/i.exec(
+    String(value).trim()
+  );
+  if (!match) return null;
+  const language = match[1].toUpperCase();
+  const regional = match[2] && `${language}_${match[2].toUpperCase()}`;
+  if (LANGUAGE_CODES.has(regional)) return regional;
+  return LANGUAGE_CODES.has(language) ? language : null;
+}
+
+/** Highest‑weighted usable language of an `Accept-Language` header. */
+function acceptLanguage(header) {
+  if (!header) return null;
+  const ranked = header
+    .split(",")
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.find((p) => p.trim().startsWith("q="));
+      return { tag, q: q ? Number(q.trim().slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && tag !== "*" && q > 0)
+    .sort((a, b) => b.q - a.q);
+  for (const { tag } of ranked) {
+    const language = normaliseLanguage(tag);
+    if (language) return language;
+  }
+  return null;
+}
+
+/**
+ * Express middleware resolving `req.locale = { country, language }` (see
+ * header). Explicit but malformed values are a 422.
+ */
+function resolveLocale(req, res, next) {
+  res.vary("Accept-Language").vary("X-Country").vary("X-Language");
+  const store = req.store || currentStore();
+  const errors = [];
+  const explicit = (name, header, normalise, message) => {
+    const fromQuery = req.query[name];
+    const raw = fromQuery ?? req.get(header);
+    if (raw === undefined || raw === "") return null;
+    const value = typeof raw === "string" ? normalise(raw) : null;
+    if (!value)
+      errors.push({
+        field: fromQuery !== undefined ? name : header,
+        location: fromQuery !== undefined ? "query" : "header",
+        message,
+      });
+    return value;
+  };
+
+  const country = explicit(
+    "country",
+    "X-Country",
+    normaliseCountry,
+    "must be an ISO 3166-1 alpha-2 country code"
+  );
+  const language = explicit(
+    "language",
+    "X-Language",
+    normaliseLanguage,
+    "must be a language Shopify supports, such as en or pt-BR"
+  );
+  if (errors.length) return next(new ValidationError(errors));
+
+  req.locale = {
+    country: country || store.country,
+    language:
+      language || acceptLanguage(req.get("Accept-Language")) || store.language,
+  };
+  runWithContext({ locale: req.locale }, next);
+}
+
+/** Locale of the current request (store defaults outside one). */
+function currentLocale() {
+  const { locale } = getContext();
+  if (locale) return locale;
+  const { country, language } = currentStore();
+  return { country, language };
+}
+
+// Head of the first operation: keyword, name, variable definitions
+const OPERATION_HEAD =
+  /^(\s*)(query|mutation)?\s*(\w+)?\s*(?:\(([^)]*)\))?\s*\{/;
+
+/**
+ * Add `@inContext(country:, language:)` for the current locale to a query or
+ * mutation. Returns `{ query, variables }`; unchanged when there is no
+ * locale or the document already carries the directive.
+ */
+function inContext(query, variables = {}, locale = currentLocale()) {
+  const args = ["country", "language"].filter((name) => locale[name]);
+  if (!args.length || query.includes("@inContext")) return { query, variables };
+  return {
+    query: query.replace(
+      OPERATION_HEAD,
+      (head, indent, keyword = "query", name = "", definitions = "") => {
+        const defs = [
+          definitions.trim(),
+          locale.country && "$country: CountryCode",
+          locale.language && "$language: LanguageCode",
+        ]
+          .filter(Boolean)
+          .join(", ");
+        const directive = args.map((arg) => `${arg}: $${arg}`).join(", ");
+        return `${indent}${keyword} ${name}(${defs}) @inContext(${directive}) {`;
+      }
+    ),
+    variables: {
+      ...variables,
+      ...Object.fromEntries(args.map((arg) => [arg, locale[arg]])),
+    },
+  };
+}
+
+module.exports = {
+  normaliseCountry,
+  normaliseLanguage,
+  acceptLanguage,
+  resolveLocale,
+  currentLocale,
+  inContext,
+};
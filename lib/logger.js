@@ -0,0 +1,147 @@
+// Structured logging & Shopify call tracing
+// --------------------------------------------------------------
+// • One JSON object per line on stdout:
+//     {"time":"…","level":"info","msg":"Request completed","requestId":"…",
+//      "method":"GET","path":"/api/products","status":200,"durationMs":84,
+//      "store":"default","trace":[{ "api":"storefront",
+//        "operation":"Products", "variables":{…}, "durationMs":80,
+//        "attempts":1, "cost":null, "outcome":"ok" }]}
+// • requestLogger gives every request a child logger bound to its
+//   request ID (currentLogger()) and a trace of each storefront()/admin()
+//   call (traceCall()), logged together once the response is sent.
+// • Keys that look like credentials (passwords, tokens, secrets,
+//   Authorization, reset/activation URLs…) or contact details (email,
+//   phone) are redacted wherever they appear; request bodies and headers
+//   are never logged.
+// • Optional environment variable:
+//     LOG_LEVEL – debug | info (default) | warn | error | silent
+// --------------------------------------------------------------
+
+const { getContext, runWithContext } = require("./context");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const SENSITIVE_KEY =
+  /password|token|secret|authorization|cookie|signature|hmac|(reset|activation)Url|email|phone/i;
+const REDACTED = "[REDACTED]";
+
+/** Error → plain object (message, code, status, stack). */
+const serialiseError = (err) => ({
+  name: err.name,
+  message: err.message,
+  ...(err.code !== undefined && { code: err.code }),
+  ...(err.status !== undefined && { status: err.status }),
+  stack: err.stack,
+});
+
+/** Deep copy of `value` with every sensitive key's value replaced. */
+function redact(value) {
+  if (value instanceof Error) return serialiseError(value);
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) && item !== null && item !== undefined
+        ? REDACTED
+        : redact(item),
+    ])
+  );
+}
+
+/**
+ * Create a logger writing JSON lines to `stream`. `fields` are added to
+ * every entry; child() returns a logger with more of them.
+ */
+function createLogger({
+  level = process.env.LOG_LEVEL || "info",
+  stream = process.stdout,
+  fields = {},
+} = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const write = (entryLevel, msg, extra = {}) => {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...redact({ ...fields, ...extra }),
+    };
+    stream.write(`${JSON.stringify(entry)}\n`);
+  };
+  return {
+    level,
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+    child: (extra) =>
+      createLogger({ level, stream, fields: { ...fields, ...extra } }),
+  };
+}
+
+const logger = createLogger();
+
+/** Logger of the request being handled (root logger outside one). */
+const currentLogger = () => getContext().log || logger;
+
+/**
+ * Express middleware binding a child logger and an empty trace to the
+ * request (after requestId), then logging one line when it finishes.
+ */
+function requestLogger(req, res, next) {
+  const started = Date.now();
+  const log = logger.child({ requestId: req.id });
+  const trace = [];
+  res.on("finish", () => {
+    const level =
+      res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    log[level]("Request completed", {
+      method: req.method,
+      // Without the query string – it is not ours to keep
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+      store: req.store?.id,
+      trace,
+    });
+  });
+  runWithContext({ log, trace }, next);
+}
+
+const OPERATION = /^\s*(query|mutation)\s*(\w+)?/;
+
+/** Operation name of a GraphQL document ("anonymous query" without one). */
+function operationName(query) {
+  const [, keyword = "query", name] = OPERATION.exec(query) || [];
+  return name || `anonymous ${keyword}`;
+}
+
+/**
+ * `onCall` hook for lib/shopifyClient.js: records a Shopify call in the
+ * current request's trace (and at debug level) with redacted variables.
+ */
+const traceCall =
+  (api) =>
+  ({ query, variables, durationMs, attempts, cost, error }) => {
+    const call = {
+      api,
+      operation: operationName(query),
+      variables: redact(variables),
+      durationMs,
+      attempts,
+      cost,
+      outcome: error ? error.code || "ERROR" : "ok",
+    };
+    getContext().trace?.push(call);
+    currentLogger().debug("Shopify call", call);
+  };
+
+module.exports = {
+  createLogger,
+  logger,
+  currentLogger,
+  redact,
+  requestLogger,
+  operationName,
+  traceCall,
+};
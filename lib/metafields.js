@@ -0,0 +1,269 @@
+// Metafield registry – merchandising fields without GraphQL edits
+// --------------------------------------------------------------
+// • Declares which metafields each resource exposes and under which name:
+//     { "product":    [{ "namespace": "custom", "key": "money_price",
+//                        "name": "moneyPrice" }],
+//       "variant":    [{ "namespace": "custom", "key": "size_chart",
+//                        "name": "sizeChart", "type": "file_reference" }],
+//       "collection": [{ "namespace": "custom", "key": "banner",
+//                        "name": "banner", "type": "metaobject_reference" }] }
+//   given as JSON in METAFIELDS or in the file METAFIELDS_FILE names.
+//   Without either, products expose `custom.money_price` as `moneyPrice`.
+// • Entries are spliced into GraphQL documents, so namespaces, keys and
+//   names are checked against identifier patterns when the module loads.
+// • `type` is optional (Shopify reports it); declaring it trims the query
+//   to what that type needs.
+// • metafieldSelection() builds the aliased GraphQL fields for a resource;
+//   withMetafields() / readMetafields() turn the response into values
+//   parsed by type: numbers, booleans, JSON, money `{ amount, currencyCode }`,
+//   images and metaobjects (`{ id, type, handle, fields }`) for references,
+//   other references as `{ kind, id, … }`. Responses always carry them as
+//   one `metafields: { name: value }` object on the resource.
+// --------------------------------------------------------------
+
+const fs = require("fs");
+
+const RESOURCES = ["product", "variant", "collection"];
+const IDENTIFIER = /^[\w-]+$/;
+const OUTPUT_NAME = /^[A-Za-z_]\w*$/;
+const DEFAULT_REGISTRY = {
+  product: [{ namespace: "custom", key: "money_price", name: "moneyPrice" }],
+};
+const MAX_LIST_REFERENCES = 25;
+
+const IMAGE_FIELDS = "url altText width height";
+// Fields every reference target exposes to the parser
+const TARGET_FIELDS = `
+  __typename
+  ... on MediaImage { id image { ${IMAGE_FIELDS} } }
+  ... on Video { id sources { url mimeType } }
+  ... on GenericFile { id url mimeType }
+  ... on Product { id handle title }
+  ... on ProductVariant { id title }
+  ... on Collection { id handle title }
+  ... on Page { id handle title }
+`;
+// Metaobjects add their fields; references inside them stop one level down
+const NESTED_TARGET_FIELDS = `${TARGET_FIELDS} ... on Metaobject { id type handle }`;
+const REFERENCE_FIELDS = `
+  ${TARGET_FIELDS}
+  ... on Metaobject {
+    id
+    type
+    handle
+    fields {
+      key
+      type
+      value
+      reference { ${NESTED_TARGET_FIELDS} }
+      references(first: ${MAX_LIST_REFERENCES}) { nodes { ${NESTED_TARGET_FIELDS} } }
+    }
+  }
+`;
+
+function loadRegistry(env = process.env) {
+  let raw = DEFAULT_REGISTRY;
+  if (env.METAFIELDS) raw = JSON.parse(env.METAFIELDS);
+  else if (env.METAFIELDS_FILE)
+    raw = JSON.parse(fs.readFileSync(env.METAFIELDS_FILE, "utf8"));
+  return createRegistry(raw);
+}
+
+/**
+ * Registry from raw config, one entry list per resource. Names become
+ * response keys and GraphQL aliases: they must be identifiers, unique
+ * within their resource.
+ */
+function createRegistry(raw) {
+  const registry = {};
+  Object.keys(raw).forEach((resource) => {
+    if (!RESOURCES.includes(resource))
+      throw new Error(`Metafields: unknown resource "${resource}"`);
+  });
+  RESOURCES.forEach((resource) => {
+    const names = new Set();
+    registry[resource] = (raw[resource] || []).map((entry) => {
+      const where = `Metafields: ${resource} ${entry.namespace}.${entry.key}`;
+      if (!IDENTIFIER.test(entry.namespace) || !IDENTIFIER.test(entry.key))
+        throw new Error(`${where}: invalid namespace/key`);
+      const name = entry.name || entry.key;
+      if (!OUTPUT_NAME.test(name) || names.has(name))
+        throw new Error(`${where}: invalid or duplicate name "${name}"`);
+      names.add(name);
+      return {
+        namespace: entry.namespace,
+        key: entry.key,
+        name,
+        type: entry.type || null,
+      };
+    });
+  });
+  return registry;
+}
+
+const registry = loadRegistry();
+
+const alias = (name) => `metafield_${name}`;
+
+/** GraphQL selection of `type` – references only where they can occur. */
+function valueSelection(type) {
+  const fields = ["type", "value"];
+  if (!type || type.endsWith("_reference")) {
+    if (!type || !type.startsWith("list."))
+      fields.push(`reference { ${REFERENCE_FIELDS} }`);
+    if (!type || type.startsWith("list."))
+      fields.push(
+        `references(first: ${MAX_LIST_REFERENCES}) { nodes { ${REFERENCE_FIELDS} } }`
+      );
+  }
+  return fields.join(" ");
+}
+
+/** Aliased metafield fields to splice into a `resource` selection. */
+function metafieldSelection(resource) {
+  return registry[resource]
+    .map(
+      ({ namespace, key, name, type }) =>
+        `${alias(
+          name
+        )}: metafield(namespace: "${namespace}", key: "${key}") { ${valueSelection(
+          type
+        )} }`
+    )
+    .join("\n");
+}
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+/** Resolve a reference target to a client‑friendly shape. */
+function parseReference(node) {
+  if (!node) return null;
+  const { __typename: kind, ...rest } = node;
+  switch (kind) {
+    case "MediaImage":
+      return rest.image || null;
+    case "Metaobject":
+      return {
+        id: rest.id,
+        type: rest.type,
+        handle: rest.handle,
+        // Absent on metaobjects referenced from another metaobject
+        ...(rest.fields && {
+          fields: Object.fromEntries(
+            rest.fields.map((field) => [
+              field.key,
+              parseValue(
+                field.type,
+                field.value,
+                field.reference,
+                field.references
+              ),
+            ])
+          ),
+        }),
+      };
+    default:
+      return { kind, ...rest };
+  }
+}
+
+/** Parse a raw metafield value by its Shopify type. */
+function parseValue(type, value, reference, references) {
+  if (value === null || value === undefined) return null;
+  if (type.startsWith("list.")) {
+    if (type.endsWith("_reference"))
+      return (references?.nodes || []).map(parseReference);
+    const itemType = type.slice(5);
+    const items = parseJson(value);
+    return Array.isArray(items)
+      ? items.map((item) =>
+          parseValue(
+            itemType,
+            typeof item === "string" ? item : JSON.stringify(item)
+          )
+        )
+      : items;
+  }
+  if (type.endsWith("_reference")) return parseReference(reference);
+  switch (type) {
+    case "number_integer":
+      return parseInt(value, 10);
+    case "number_decimal":
+      return Number(value);
+    case "boolean":
+      return value === "true";
+    case "money": {
+      const money = parseJson(value);
+      return { amount: money.amount, currencyCode: money.currency_code };
+    }
+    case "json":
+    case "rating":
+    case "dimension":
+    case "volume":
+    case "weight":
+      return parseJson(value);
+    default:
+      // Text, url, color, date, date_time…
+      return value;
+  }
+}
+
+/** Registry values of a `resource` response node as `{ name: value }`. */
+function readMetafields(node, resource) {
+  return Object.fromEntries(
+    registry[resource].map(({ name, type }) => {
+      const field = node?.[alias(name)];
+      return [
+        name,
+        field
+          ? parseValue(
+              type || field.type,
+              field.value,
+              field.reference,
+              field.references
+            )
+          : null,
+      ];
+    })
+  );
+}
+
+/**
+ * Copy of a response node with the metafield aliases replaced by a parsed
+ * `metafields` object. Product variants (array, edges or nodes) are handled
+ * too.
+ */
+function withMetafields(node, resource) {
+  if (!node) return node;
+  const out = { ...node };
+  registry[resource].forEach(({ name }) => delete out[alias(name)]);
+  if (registry[resource].length)
+    out.metafields = readMetafields(node, resource);
+  if (resource === "product" && node.variants) {
+    const variant = (v) => withMetafields(v, "variant");
+    const { variants } = node;
+    if (Array.isArray(variants)) out.variants = variants.map(variant);
+    else if (variants.edges)
+      out.variants = {
+        ...variants,
+        edges: variants.edges.map((e) => ({ ...e, node: variant(e.node) })),
+      };
+    else if (variants.nodes)
+      out.variants = { ...variants, nodes: variants.nodes.map(variant) };
+  }
+  return out;
+}
+
+module.exports = {
+  createRegistry,
+  metafieldSelection,
+  parseValue,
+  readMetafields,
+  withMetafields,
+};
@@ -0,0 +1,167 @@
+// Prometheus metrics
+// --------------------------------------------------------------
+// • In-process counters and histograms rendered in the Prometheus text
+//   exposition format by GET /metrics (routes/health.js):
+//     http_requests_total{method,route,status}
+//     http_request_duration_seconds{method,route}          (histogram)
+//     shopify_requests_total{store,api,operation,outcome}
+//     shopify_request_duration_seconds{store,api}          (histogram)
+//   `route` is the Express route pattern (/api/products/:handle), never the
+//   raw URL, so label cardinality stays bounded. `outcome` is "ok" or the
+//   error code (THROTTLED, UPSTREAM_ERROR…) – upstream error rate is
+//     sum(rate(shopify_requests_total{outcome!="ok"}[5m]))
+//       / sum(rate(shopify_requests_total[5m]))
+// • Counts are per process; Prometheus sums the instances.
+// --------------------------------------------------------------
+
+const { operationName } = require("./logger");
+
+const DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+/** A registry of metrics; render() returns the exposition text. */
+function createMetrics() {
+  const metrics = [];
+
+  // Series are keyed by their label set, in declaration order
+  function define(type, name, help, render) {
+    const series = new Map();
+    const seriesFor = (labels, create) => {
+      const key = formatLabels(labels);
+      if (!series.has(key)) series.set(key, { labels, ...create() });
+      return series.get(key);
+    };
+    metrics.push({
+      text: () =>
+        [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} ${type}`,
+          ...[...series.values()].flatMap(render),
+        ].join("\n"),
+    });
+    return seriesFor;
+  }
+
+  return {
+    counter(name, help) {
+      const seriesFor = define("counter", name, help, ({ labels, value }) => [
+        `${name}${formatLabels(labels)} ${value}`,
+      ]);
+      return {
+        inc: (labels = {}, amount = 1) => {
+          seriesFor(labels, () => ({ value: 0 })).value += amount;
+        },
+      };
+    },
+
+    histogram(name, help, buckets = DURATION_BUCKETS) {
+      const seriesFor = define(
+        "histogram",
+        name,
+        help,
+        ({ labels, counts, sum, count }) => [
+          ...buckets.map(
+            (le, i) =>
+              `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`
+          ),
+          `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+          `${name}_sum${formatLabels(labels)} ${sum}`,
+          `${name}_count${formatLabels(labels)} ${count}`,
+        ]
+      );
+      return {
+        observe: (labels, value) => {
+          const series = seriesFor(labels, () => ({
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          }));
+          // Buckets are cumulative: every bound >= value counts it
+          buckets.forEach((le, i) => {
+            if (value <= le) series.counts[i] += 1;
+          });
+          series.sum += value;
+          series.count += 1;
+        },
+      };
+    },
+
+    render: () => `${metrics.map((metric) => metric.text()).join("\n")}\n`,
+  };
+}
+
+const metrics = createMetrics();
+
+const httpRequests = metrics.counter(
+  "http_requests_total",
+  "HTTP requests handled, by route and status."
+);
+const httpDuration = metrics.histogram(
+  "http_request_duration_seconds",
+  "HTTP request latency in seconds."
+);
+const shopifyRequests = metrics.counter(
+  "shopify_requests_total",
+  "Shopify GraphQL calls, by operation and outcome."
+);
+const shopifyDuration = metrics.histogram(
+  "shopify_request_duration_seconds",
+  "Shopify GraphQL call latency in seconds, retries included."
+);
+
+/**
+ * Express middleware counting every request once it finishes, labelled by
+ * the route that handled it ("unmatched" for 404s).
+ */
+function requestMetrics(req, res, next) {
+  const started = process.hrtime.bigint();
+  // Read the mount path when Express assigns req.route – by "finish" an
+  // error that left the router has already reset req.baseUrl
+  let matched;
+  let route = "unmatched";
+  Object.defineProperty(req, "route", {
+    configurable: true,
+    enumerable: true,
+    get: () => matched,
+    set(value) {
+      matched = value;
+      route = `${req.baseUrl}${value.path}`;
+    },
+  });
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+}
+
+/**
+ * `onCall` hook for lib/shopifyClient.js (next to traceCall()): counts
+ * the call and its latency for `store`'s `api` client.
+ */
+const recordCall =
+  (api, store) =>
+  ({ query, durationMs, error }) => {
+    shopifyRequests.inc({
+      store: store.id,
+      api,
+      operation: operationName(query),
+      outcome: error ? error.code || "ERROR" : "ok",
+    });
+    shopifyDuration.observe({ store: store.id, api }, durationMs / 1000);
+  };
+
+module.exports = { createMetrics, metrics, requestMetrics, recordCall };
@@ -0,0 +1,224 @@
+// Rate limiting & login lockout
+// --------------------------------------------------------------
+// • rateLimit(policy) is route middleware applying a policy's sliding
+//   windows: per client IP and, for policies with an `email` rule, per
+//   email address in the body – so both one IP trying many accounts and
+//   many IPs trying one account run dry.
+// • Default policies (limit per window):
+//     login     ip 20 / 5 min      email 10 / 15 min
+//     recover   ip 5 / 15 min      email 3 / hour
+//     reset     ip 10 / 15 min     (password reset, account activation)
+//     register  ip 5 / hour
+//     cart      ip 120 / min       (cart mutations)
+//   RATE_LIMITS (JSON) overrides any of them, rule by rule:
+//     {"login":{"ip":{"limit":50,"windowSec":300}}}
+// • Responses carry `RateLimit-Limit`, `RateLimit-Remaining` and
+//   `RateLimit-Reset` (seconds) for the tightest window; a 429
+//   (RATE_LIMITED) adds `Retry-After`.
+// • Lockout: LOGIN_LOCKOUT_ATTEMPTS (default 5) failed logins for one
+//   email within LOGIN_LOCKOUT_SEC (default 900) lock it for that long –
+//   further attempts answer 429 (LOGIN_LOCKED) without reaching Shopify.
+// • Windows use the sliding window counter approximation: the previous
+//   fixed window's count, weighted by how much of it still overlaps, plus
+//   the current one's. Two numbers per key in any lib/kv.js adapter –
+//   memory by default; useStore() swaps in a shared one (Redis) when
+//   several instances serve traffic. Updates aren't atomic, so concurrent
+//   requests may slip a few hits past a limit.
+// • Behind a proxy (Vercel, a load balancer) set TRUST_PROXY (e.g. 1) so
+//   `req.ip` is the client's address rather than the proxy's.
+// --------------------------------------------------------------
+
+const crypto = require("crypto");
+const { createMemoryStore } = require("./kv");
+const { storeKey } = require("./stores");
+const { currentLogger } = require("./logger");
+const { RateLimitedError, asyncHandler } = require("./errors");
+
+const DEFAULT_POLICIES = {
+  login: {
+    ip: { limit: 20, windowSec: 300 },
+    email: { limit: 10, windowSec: 900 },
+  },
+  recover: {
+    ip: { limit: 5, windowSec: 900 },
+    email: { limit: 3, windowSec: 3600 },
+  },
+  reset: { ip: { limit: 10, windowSec: 900 } },
+  register: { ip: { limit: 5, windowSec: 3600 } },
+  cart: { ip: { limit: 120, windowSec: 60 } },
+};
+
+/** Default policies with RATE_LIMITS merged in, rule by rule. */
+function policiesFromEnv(env = process.env) {
+  const overrides = env.RATE_LIMITS ? JSON.parse(env.RATE_LIMITS) : {};
+  const names = new Set([
+    ...Object.keys(DEFAULT_POLICIES),
+    ...Object.keys(overrides),
+  ]);
+  return Object.fromEntries(
+    [...names].map((name) => [
+      name,
+      { ...DEFAULT_POLICIES[name], ...overrides[name] },
+    ])
+  );
+}
+
+const LOCKOUT = {
+  attempts: Number(process.env.LOGIN_LOCKOUT_ATTEMPTS) || 5,
+  seconds: Number(process.env.LOGIN_LOCKOUT_SEC) || 900,
+};
+
+// Keys never hold a raw email address
+const hashed = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex").slice(0, 32);
+
+const normaliseEmail = (email) =>
+  typeof email === "string" && email.trim() ? email.trim().toLowerCase() : null;
+
+/**
+ * Milliseconds until one more hit fits in the window, given its counts.
+ * Solves `previous * (1 - t) + count <= limit - 1` for the overlap `t`.
+ */
+function waitMs({ previous, count }, limit, windowMs, now) {
+  const into = now % windowMs;
+  const room = limit - 1;
+  if (count <= room)
+    return Math.ceil((1 - (room - count) / previous) * windowMs - into);
+  // The current window is full on its own – wait for it to decay as well
+  return windowMs - into + Math.ceil((1 - room / count) * windowMs);
+}
+
+/**
+ * Create a limiter over a lib/kv.js adapter. `policies` maps a policy name
+ * to its rules: { ip?: { limit, windowSec }, email?: { … } }.
+ */
+function createRateLimiter({
+  store = createMemoryStore({ max: 10000 }),
+  policies = DEFAULT_POLICIES,
+  lockout = LOCKOUT,
+} = {}) {
+  /**
+   * Count one hit against `key` unless the window is full. Resolves with
+   * `{ allowed, limit, remaining, resetSec }`.
+   */
+  async function hit(key, { limit, windowSec }) {
+    const windowMs = windowSec * 1000;
+    const now = Date.now();
+    const window = Math.floor(now / windowMs);
+    const stored = await limiter.store.get(key);
+    const entry = { window, count: 0, previous: 0 };
+    if (stored?.window === window) Object.assign(entry, stored);
+    else if (stored?.window === window - 1) entry.previous = stored.count;
+
+    const overlap = 1 - (now % windowMs) / windowMs;
+    const used = entry.previous * overlap + entry.count;
+    const resetSec = Math.ceil((windowMs - (now % windowMs)) / 1000);
+    if (used + 1 > limit) {
+      const retryAfter = Math.max(
+        1,
+        Math.ceil(waitMs(entry, limit, windowMs, now) / 1000)
+      );
+      return { allowed: false, limit, remaining: 0, resetSec: retryAfter };
+    }
+    entry.count += 1;
+    // Kept for two windows: the next one still weighs this one's count
+    await limiter.store.set(key, entry, 2 * windowMs);
+    return {
+      allowed: true,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - used - 1)),
+      resetSec,
+    };
+  }
+
+  const lockoutKey = (email) =>
+    storeKey(`ratelimit:lockout:${hashed(normaliseEmail(email))}`);
+
+  const limiter = {
+    store,
+
+    /**
+     * Express middleware applying `policy`. Rules run in order and stop
+     * at the first full window.
+     */
+    middleware(policy) {
+      const rules = policies[policy];
+      if (!rules) throw new Error(`Unknown rate limit policy "${policy}"`);
+      return asyncHandler(async (req, res, next) => {
+        const subjects = {
+          ip: req.ip,
+          email: rules.email && normaliseEmail(req.body?.email),
+        };
+        let tightest = null;
+        for (const [rule, options] of Object.entries(rules)) {
+          if (!subjects[rule]) continue;
+          const key = storeKey(
+            `ratelimit:${policy}:${rule}:${hashed(subjects[rule])}`
+          );
+          const result = await hit(key, options);
+          if (
+            !tightest ||
+            !result.allowed ||
+            result.remaining < tightest.remaining
+          )
+            tightest = result;
+          if (!result.allowed) break;
+        }
+        if (tightest) {
+          res.set({
+            "RateLimit-Limit": String(tightest.limit),
+            "RateLimit-Remaining": String(tightest.remaining),
+            "RateLimit-Reset": String(tightest.resetSec),
+          });
+          if (!tightest.allowed)
+            throw new RateLimitedError(undefined, tightest.resetSec);
+        }
+        next();
+      });
+    },
+
+    /** Throw LOGIN_LOCKED while `email` is locked out. */
+    async assertNotLocked(email) {
+      const entry = await limiter.store.get(lockoutKey(email));
+      if (entry?.lockedUntil > Date.now())
+        throw new RateLimitedError(
+          "Too many failed login attempts – try again later",
+          Math.ceil((entry.lockedUntil - Date.now()) / 1000),
+          "LOGIN_LOCKED"
+        );
+    },
+
+    /** Count a failed login; locks the email once the limit is reached. */
+    async loginFailed(email) {
+      const key = lockoutKey(email);
+      const entry = (await limiter.store.get(key)) || { failures: 0 };
+      entry.failures += 1;
+      if (entry.failures >= lockout.attempts) {
+        entry.lockedUntil = Date.now() + lockout.seconds * 1000;
+        currentLogger().warn("Login locked after repeated failures", {
+          failures: entry.failures,
+        });
+      }
+      await limiter.store.set(key, entry, lockout.seconds * 1000);
+    },
+
+    /** Forget failures after a successful login. */
+    async loginSucceeded(email) {
+      await limiter.store.delete(lockoutKey(email));
+    },
+
+    /** Swap the backing adapter (e.g. a Redis-backed one at startup). */
+    useStore(next) {
+      limiter.store = next;
+    },
+  };
+  return limiter;
+}
+
+// Shared instance used by the routers
+const rateLimiter = createRateLimiter({ policies: policiesFromEnv() });
+
+/** Route middleware for one of rateLimiter's policies. */
+const rateLimit = (policy) => rateLimiter.middleware(policy);
+
+module.exports = { createRateLimiter, rateLimiter, rateLimit };
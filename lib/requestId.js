@@ -0,0 +1,22 @@
+// Request IDs
+// --------------------------------------------------------------
+// Reuses an incoming `X-Request-Id` (e.g. from a proxy) or mints a UUID,
+// exposes it as `req.id` and echoes it back in the response header so
+// client reports can be matched to server logs.
+// --------------------------------------------------------------
+
+const crypto = require("crypto");
+
+const HEADER = "X-Request-Id";
+
+function requestId(req, res, next) {
+  const incoming = req.get(HEADER);
+  req.id =
+    incoming && /^[\w.-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set(HEADER, req.id);
+  next();
+}
+
+module.exports = { requestId };
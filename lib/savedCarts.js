@@ -0,0 +1,61 @@
+// Saved carts – each customer's active cart
+// --------------------------------------------------------------
+// • Remembers the cart ID a customer last used, keyed by their Shopify
+//   customer ID: every access token (one per device and login) resolves to
+//   the same customer, so the cart follows them across devices
+//   (GET /me/cart, cart merge on login – routes/shopify.js).
+// • Only IDs are stored; the cart itself always comes from Shopify, which
+//   forgets carts that are checked out or untouched for ~10 days – the
+//   routes replace those with a fresh one.
+// • Backed by a lib/kv.js adapter: LRU memory by default. useStore() swaps
+//   in a shared one (Redis) when several instances serve traffic.
+// • Optional environment variables:
+//     CART_STORE (memory | file), CART_STORE_DIR
+// --------------------------------------------------------------
+
+const os = require("os");
+const path = require("path");
+const { createMemoryStore, kvFromEnv } = require("./kv");
+const { storeKey } = require("./stores");
+
+// Refreshed on every save – outlives Shopify's own cart expiry
+const SAVED_CART_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/** Create a saved-cart registry over a lib/kv.js adapter. */
+function createSavedCarts({ store = createMemoryStore({ max: 10000 }) } = {}) {
+  // Customer IDs are only unique within a shop
+  const keyFor = (customerId) => storeKey(`cart:${customerId}`);
+
+  const savedCarts = {
+    store,
+
+    /** The customer's saved cart ID, or null. */
+    async get(customerId) {
+      return (await savedCarts.store.get(keyFor(customerId))) || null;
+    },
+
+    async set(customerId, cartId) {
+      await savedCarts.store.set(keyFor(customerId), cartId, SAVED_CART_TTL_MS);
+    },
+
+    async forget(customerId) {
+      await savedCarts.store.delete(keyFor(customerId));
+    },
+
+    /** Replace the adapter, e.g. with Redis shared by every instance. */
+    useStore(next) {
+      savedCarts.store = next;
+    },
+  };
+  return savedCarts;
+}
+
+// One instance for the process – the routes and login share it
+const savedCarts = createSavedCarts({
+  store: kvFromEnv("CART_STORE", {
+    dir: path.join(os.tmpdir(), "storefront-carts"),
+    max: 10000,
+  }),
+});
+
+module.exports = { createSavedCarts, savedCarts };
@@ -0,0 +1,149 @@
+// Shopify GraphQL helpers shared by the routers
+// --------------------------------------------------------------
+// • storefront() – Storefront API in the request's country/language
+//                  (lib/localization.js), surfaces userErrors and failures
+//                  as typed errors (lib/errors.js)
+// • admin()      – Admin API (server‑side only, never exposed to clients)
+// • Both go through a resilient client (timeouts, retries, cost throttling,
+//   circuit breaker – lib/shopifyClient.js)
+// • Every call is traced for the request log (traceCall(), lib/logger.js)
+//   and counted for GET /metrics (recordCall(), lib/metrics.js).
+// • Both talk to the current request's store (lib/stores.js) unless one is
+//   passed explicitly; each store gets its own pair of clients.
+// • Environment variables (optional):
+//     SHOPIFY_TIMEOUT_MS, SHOPIFY_MAX_RETRIES, SHOPIFY_RETRY_BASE_MS,
+//     SHOPIFY_BREAKER_THRESHOLD, SHOPIFY_BREAKER_COOLDOWN_MS – tuning for
+//     timeouts, retries and the circuit breaker (lib/shopifyClient.js)
+// --------------------------------------------------------------
+
+const { createShopifyClient } = require("./shopifyClient");
+const { currentStore } = require("./stores");
+const { inContext } = require("./localization");
+const { traceCall } = require("./logger");
+const { recordCall } = require("./metrics");
+const { ApiError, UserError, UnauthorizedError } = require("./errors");
+
+const envNumber = (name) =>
+  process.env[name] === undefined ? undefined : Number(process.env[name]);
+
+// Unset values fall back to the client defaults
+const CLIENT_OPTIONS = Object.fromEntries(
+  Object.entries({
+    timeoutMs: envNumber("SHOPIFY_TIMEOUT_MS"),
+    retries: envNumber("SHOPIFY_MAX_RETRIES"),
+    baseDelayMs: envNumber("SHOPIFY_RETRY_BASE_MS"),
+    failureThreshold: envNumber("SHOPIFY_BREAKER_THRESHOLD"),
+    cooldownMs: envNumber("SHOPIFY_BREAKER_COOLDOWN_MS"),
+  }).filter(([, value]) => value !== undefined)
+);
+
+const clients = new Map(); // store id → { storefront, admin }
+
+/** Trace every call for the request log and count it for /metrics. */
+const onCall = (api, store) => {
+  const trace = traceCall(api);
+  const record = recordCall(api, store);
+  return (call) => {
+    trace(call);
+    record(call);
+  };
+};
+
+/** Lazily create the Storefront/Admin clients for `store`. */
+function clientsFor(store) {
+  if (!clients.has(store.id)) {
+    const base = `https://${store.domain}`;
+    clients.set(store.id, {
+      storefront: createShopifyClient({
+        endpoint:
+          store.storefrontEndpoint ||
+          `${base}/api/${store.apiVersion}/graphql.json`,
+        headers: { "X-Shopify-Storefront-Access-Token": store.storefrontToken },
+        onCall: onCall("storefront", store),
+        ...CLIENT_OPTIONS,
+      }),
+      admin:
+        store.adminToken &&
+        createShopifyClient({
+          endpoint:
+            store.adminEndpoint ||
+            `${base}/admin/api/${store.apiVersion}/graphql.json`,
+          headers: { "X-Shopify-Access-Token": store.adminToken },
+          onCall: onCall("admin", store),
+          ...CLIENT_OPTIONS,
+        }),
+    });
+  }
+  return clients.get(store.id);
+}
+
+// Customer error codes that mean "who are you?" rather than bad input
+const UNAUTHORIZED_CODES = [
+  "UNIDENTIFIED_CUSTOMER",
+  "TOKEN_INVALID",
+  "CUSTOMER_DISABLED",
+];
+
+// Input wrappers Shopify prefixes onto error fields – forms don't know them
+const ERROR_FIELD_WRAPPERS = ["input", "customer", "address"];
+
+/**
+ * Flatten Shopify user errors into `{ field, code, message }` entries where
+ * `field` is the form field name (e.g. "email", "address1").
+ */
+function fieldErrors(errors) {
+  return errors.map(({ field, code, message }) => ({
+    field: field
+      ? field.filter((f) => !ERROR_FIELD_WRAPPERS.includes(f)).join(".") || null
+      : null,
+    code: code || null,
+    message,
+  }));
+}
+
+/**
+ * Throw when any top‑level field carries userErrors (mutations only) –
+ * keeps handlers clean.
+ */
+function throwOnUserErrors(data) {
+  const errorPaths = Object.keys(data).filter(
+    (k) => data[k]?.customerUserErrors?.length || data[k]?.userErrors?.length
+  );
+  if (errorPaths.length) {
+    const errs = errorPaths
+      .map((k) => data[k].customerUserErrors || data[k].userErrors)
+      .flat();
+    const details = fieldErrors(errs);
+    if (errs.some((e) => UNAUTHORIZED_CODES.includes(e.code)))
+      throw new UnauthorizedError(errs[0].message, details);
+    throw new UserError(errs[0].message, details);
+  }
+  return data;
+}
+
+/**
+ * Execute a GraphQL query or mutation against the Storefront API in the
+ * request's country/language (@inContext). Auto‑throws on userErrors.
+ */
+async function storefront(query, variables = {}, store = currentStore()) {
+  const client = clientsFor(store).storefront;
+  const localized = inContext(query, variables);
+  return throwOnUserErrors(
+    await client.request(localized.query, localized.variables)
+  );
+}
+
+/**
+ * Execute a GraphQL query or mutation against the Admin API.
+ * Auto‑throws on userErrors.
+ */
+async function admin(query, variables = {}, store = currentStore()) {
+  const client = clientsFor(store).admin;
+  if (!client)
+    throw new ApiError(`Admin API not configured for store "${store.id}"`, {
+      code: "ADMIN_NOT_CONFIGURED",
+    });
+  return throwOnUserErrors(await client.request(query, variables));
+}
+
+module.exports = { storefront, admin };
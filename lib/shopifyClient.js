@@ -0,0 +1,275 @@
+// Resilient Shopify GraphQL client
+// --------------------------------------------------------------
+// One instance per endpoint (Storefront, Admin). Every request goes through:
+//   circuit breaker → cost limiter → timeout → retry w/ backoff + jitter
+// • Timeouts abort the fetch and surface as UpstreamTimeoutError (504).
+// • Retries cover throttling, timeouts, 5xx and network failures. Mutations
+//   are only retried when Shopify provably didn't run them (throttled or
+//   connection refused) so a cart line is never added twice. A Retry-After
+//   longer than `maxDelayMs` is passed on to the caller instead of waited.
+// • The limiter is a leaky bucket fed by `extensions.cost.throttleStatus`
+//   (Admin API); endpoints that don't report cost are never delayed.
+// • After `failureThreshold` consecutive upstream failures the breaker opens
+//   and calls fail fast with UpstreamUnavailableError (503) until
+//   `cooldownMs` passes and a trial request succeeds.
+// • `onCall` (optional) is told about every request once it settles:
+//     { query, variables, durationMs, attempts, cost, error }
+//   (see traceCall() in lib/logger.js).
+// --------------------------------------------------------------
+
+const { GraphQLClient } = require("graphql-request");
+const {
+  ApiError,
+  ThrottledError,
+  UpstreamError,
+  UpstreamTimeoutError,
+  UpstreamUnavailableError,
+} = require("./errors");
+
+const DEFAULTS = {
+  timeoutMs: 10000,
+  retries: 2,
+  baseDelayMs: 200,
+  maxDelayMs: 5000,
+  failureThreshold: 5,
+  cooldownMs: 30000,
+  // Assumed cost of a query before Shopify has told us its real cost
+  defaultQueryCost: 50,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Actual (else requested) cost from `extensions.cost`; null when absent. */
+const queryCost = (cost) =>
+  cost ? cost.actualQueryCost ?? cost.requestedQueryCost ?? null : null;
+
+/**
+ * Translate a graphql-request / network failure into a typed error.
+ */
+function toShopifyError(err) {
+  if (err instanceof ApiError) return err;
+  const response = err.response;
+  if (response) {
+    const errors = response.errors || [];
+    if (
+      response.status === 429 ||
+      errors.some((e) => e.extensions?.code === "THROTTLED")
+    ) {
+      const retryAfter = Number(response.headers?.get?.("Retry-After"));
+      return new ThrottledError(undefined, retryAfter || undefined);
+    }
+    if (response.status === 401 || response.status === 403)
+      return new UpstreamError("Shopify rejected the API credentials");
+    const upstream = new UpstreamError(
+      `Shopify request failed (HTTP ${response.status})`,
+      errors.length ? errors.map((e) => e.message) : undefined
+    );
+    upstream.httpStatus = response.status;
+    return upstream;
+  }
+  const code = err.code || err.cause?.code || "";
+  if (
+    err.name === "AbortError" ||
+    err.name === "TimeoutError" ||
+    /TIMEOUT|ETIMEDOUT/.test(code)
+  )
+    return new UpstreamTimeoutError();
+  const unreachable = new UpstreamError("Shopify is unreachable", err.message);
+  unreachable.connectionRefused = /ECONNREFUSED|ENOTFOUND|EAI_AGAIN/.test(code);
+  return unreachable;
+}
+
+/** Whether a failed call may be repeated without side effects. */
+function isRetryable(error, isMutation) {
+  if (error instanceof ThrottledError) return true;
+  if (error instanceof UpstreamUnavailableError) return false;
+  if (isMutation) return Boolean(error.connectionRefused);
+  if (error instanceof UpstreamTimeoutError) return true;
+  if (error instanceof UpstreamError)
+    return !error.httpStatus || error.httpStatus >= 500;
+  return false;
+}
+
+/** Failures that say something about Shopify's health (breaker input). */
+const isUpstreamFailure = (error) =>
+  error instanceof UpstreamTimeoutError ||
+  (error instanceof UpstreamError &&
+    (!error.httpStatus || error.httpStatus >= 500));
+
+/**
+ * Leaky bucket mirroring Shopify's cost‑based throttle. Capacity and restore
+ * rate are learned from responses.
+ */
+function createCostLimiter({ defaultQueryCost }) {
+  let bucket = null; // { available, maximum, restoreRate, at }
+  const lastCost = new Map();
+
+  const projected = () =>
+    Math.min(
+      bucket.maximum,
+      bucket.available + ((Date.now() - bucket.at) / 1000) * bucket.restoreRate
+    );
+
+  return {
+    /** Wait until the bucket can absorb `query`. */
+    async acquire(query) {
+      if (!bucket) return;
+      const cost = Math.min(
+        lastCost.get(query) ?? defaultQueryCost,
+        bucket.maximum
+      );
+      const available = projected();
+      if (available < cost) {
+        await sleep(((cost - available) / bucket.restoreRate) * 1000);
+      }
+      // Reserve the cost so concurrent callers queue behind us
+      bucket.available = projected() - cost;
+      bucket.at = Date.now();
+    },
+    /** Sync with the throttle status Shopify reported. */
+    update(query, cost) {
+      const status = cost?.throttleStatus;
+      if (!status) return;
+      lastCost.set(query, cost.actualQueryCost ?? cost.requestedQueryCost);
+      bucket = {
+        available: status.currentlyAvailable,
+        maximum: status.maximumAvailable,
+        restoreRate: status.restoreRate,
+        at: Date.now(),
+      };
+    },
+  };
+}
+
+function createCircuitBreaker({ failureThreshold, cooldownMs }) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  return {
+    /** Throw if the circuit is open; returns whether this is a trial call. */
+    check() {
+      if (openedAt === null) return false;
+      const remaining = openedAt + cooldownMs - Date.now();
+      if (remaining > 0 || trialInFlight)
+        throw new UpstreamUnavailableError(
+          undefined,
+          Math.ceil(Math.max(remaining, 1000) / 1000)
+        );
+      trialInFlight = true;
+      return true;
+    },
+    success() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+    failure(trial) {
+      failures += 1;
+      if (trial || failures >= failureThreshold) openedAt = Date.now();
+      if (trial) trialInFlight = false;
+    },
+    /** Release a trial slot that ended without a health signal. */
+    settle(trial) {
+      if (trial) trialInFlight = false;
+    },
+    get state() {
+      if (openedAt === null) return "closed";
+      return Date.now() - openedAt >= cooldownMs ? "half-open" : "open";
+    },
+  };
+}
+
+/**
+ * Create a client for one Shopify GraphQL endpoint.
+ * `fetch` can be injected (tests); it defaults to the global one.
+ */
+function createShopifyClient({ endpoint, headers, fetch, onCall, ...options }) {
+  const config = { ...DEFAULTS, ...options };
+  const client = new GraphQLClient(endpoint, {
+    headers: { "Content-Type": "application/json", ...headers },
+    ...(fetch && { fetch }),
+  });
+  const limiter = createCostLimiter(config);
+  const breaker = createCircuitBreaker(config);
+
+  // `call` collects attempts and cost for onCall
+  async function attempt(query, variables, call) {
+    await limiter.acquire(query);
+    call.attempts++;
+    try {
+      const res = await client.rawRequest({
+        query,
+        variables,
+        signal: AbortSignal.timeout(config.timeoutMs),
+      });
+      limiter.update(query, res.extensions?.cost);
+      call.cost = queryCost(res.extensions?.cost);
+      return res.data;
+    } catch (err) {
+      limiter.update(query, err.response?.extensions?.cost);
+      call.cost = queryCost(err.response?.extensions?.cost);
+      throw toShopifyError(err);
+    }
+  }
+
+  async function send(query, variables, call) {
+    const isMutation = /^\s*mutation\b/.test(query);
+    for (let retry = 0; ; retry++) {
+      const trial = breaker.check();
+      try {
+        const data = await attempt(query, variables, call);
+        breaker.success();
+        return data;
+      } catch (error) {
+        if (isUpstreamFailure(error)) breaker.failure(trial);
+        else breaker.settle(trial);
+        if (retry >= config.retries || !isRetryable(error, isMutation))
+          throw error;
+        // A Retry-After beyond maxDelayMs would hold the request open that
+        // long – fail now and let the client retry (429 + Retry-After)
+        if (error.retryAfter * 1000 > config.maxDelayMs) throw error;
+        // Exponential backoff with full jitter; honour Retry-After
+        const ceiling = Math.min(
+          config.maxDelayMs,
+          config.baseDelayMs * 2 ** retry
+        );
+        const delay = error.retryAfter
+          ? error.retryAfter * 1000
+          : Math.random() * ceiling;
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    endpoint,
+
+    /** Execute a query/mutation and resolve with its `data`. */
+    async request(query, variables = {}) {
+      const call = { attempts: 0, cost: null };
+      const started = Date.now();
+      let error = null;
+      try {
+        return await send(query, variables, call);
+      } catch (err) {
+        error = err;
+        throw err;
+      } finally {
+        onCall?.({
+          query,
+          variables,
+          durationMs: Date.now() - started,
+          ...call,
+          error,
+        });
+      }
+    },
+
+    get circuitState() {
+      return breaker.state;
+    },
+  };
+}
+
+module.exports = { createShopifyClient, toShopifyError };
@@ -0,0 +1,136 @@
+// Store registry – one deployment, several Shopify shops
+// --------------------------------------------------------------
+// • The registry is a JSON array of stores read from SHOPIFY_STORES (inline)
+//   or SHOPIFY_STORES_FILE (path). Without either, a single "default" store
+//   is built from the original environment variables:
+//     SHOPIFY_DOMAIN, SHOPIFY_STOREFRONT_TOKEN, SHOPIFY_ADMIN_API_TOKEN,
+//     SHOPIFY_WEBHOOK_SECRET, SHOPIFY_API_VERSION, ALLOWED_ORIGINS,
+//     SHOPIFY_STOREFRONT_ENDPOINT, SHOPIFY_ADMIN_ENDPOINT
+// • Store entry:
+//     { id, domain, storefrontToken, adminToken?, apiVersion?,
+//       webhookSecret?, allowedOrigins?, hosts?, country?, language?,
+//       storefrontEndpoint?, adminEndpoint?, default? }
+//   `country` / `language` (CountryCode / LanguageCode) are the store's
+//   default buyer locale (see lib/localization.js).
+//   `storefrontEndpoint` / `adminEndpoint` replace the GraphQL URLs derived
+//   from `domain` + `apiVersion` (e.g. a local fake Shopify in tests).
+//   Entries are validated by lib/config.js; every problem is reported.
+// • `resolveStore` picks the store for every request – first match wins:
+//     1. path prefix  /api/<storeId>/products  (prefix is stripped)
+//     2. header       X-Store-Id: <storeId>
+//     3. host         <storeId>.example.com, or any entry of `hosts`
+//     4. the default store (`default: true`, else the first one)
+//   The store is exposed as `req.store` and, for code without `req`
+//   (storefront(), caches), via currentStore(). Responses not picked by
+//   path prefix carry `Vary: X-Store-Id`.
+// --------------------------------------------------------------
+
+const { getContext, runWithContext } = require("./context");
+const { NotFoundError } = require("./errors");
+const {
+  ConfigError,
+  toList,
+  registryProblems,
+  readRegistry,
+  storeFromEnv,
+} = require("./config");
+
+const DEFAULT_API_VERSION = process.env.SHOPIFY_API_VERSION || "2023-10";
+
+/** Fill in an entry's defaults (registryProblems() has vetted it). */
+function normaliseStore(entry) {
+  return {
+    id: entry.id,
+    domain: entry.domain,
+    storefrontToken: entry.storefrontToken,
+    adminToken: entry.adminToken || null,
+    apiVersion: entry.apiVersion || DEFAULT_API_VERSION,
+    webhookSecret: entry.webhookSecret || null,
+    allowedOrigins: toList(entry.allowedOrigins),
+    hosts: toList(entry.hosts).map((host) => host.toLowerCase()),
+    storefrontEndpoint: entry.storefrontEndpoint || null,
+    adminEndpoint: entry.adminEndpoint || null,
+    country: entry.country ? String(entry.country).toUpperCase() : null,
+    language: entry.language
+      ? String(entry.language).toUpperCase().replace("-", "_")
+      : null,
+    default: Boolean(entry.default),
+  };
+}
+
+/**
+ * Build a registry from raw entries. Throws a ConfigError listing every
+ * problem so a misconfigured deployment fails at boot rather than on
+ * first request.
+ */
+function createRegistry(entries) {
+  const problems = registryProblems(entries);
+  if (problems.length) throw new ConfigError(problems);
+  const stores = new Map(
+    entries.map(normaliseStore).map((store) => [store.id, store])
+  );
+  const all = [...stores.values()];
+  return {
+    stores,
+    defaultStore: all.find((store) => store.default) || all[0],
+    /** Every store's allowed origins (CORS preflights – see index.js). */
+    allowedOrigins: [...new Set(all.flatMap((store) => store.allowedOrigins))],
+    get: (id) => stores.get(String(id).toLowerCase()) || null,
+    /** Match a webhook's `X-Shopify-Shop-Domain` or a request host. */
+    byHost: (host) =>
+      all.find(
+        (store) =>
+          store.domain === host || store.hosts.includes(host.toLowerCase())
+      ) || null,
+  };
+}
+
+const registry = createRegistry(readRegistry() || [storeFromEnv()]);
+
+/** The store of the request being handled (default store outside one). */
+const currentStore = () => getContext().store || registry.defaultStore;
+
+/** Run `fn` with `store` as the current store. */
+const runWithStore = (store, fn) => runWithContext({ store }, fn);
+
+/** Namespace a cache key / purge tag so shops never share entries. */
+const storeKey = (key, store = currentStore()) => `${store.id}:${key}`;
+
+const PREFIX = /^\/api\/([^/?]+)(?=[/?]|$)/;
+
+/**
+ * Express middleware resolving the store for a request (see header).
+ * An explicit but unknown store (header) is a 404 rather than silently
+ * serving another shop's catalogue.
+ */
+function resolveStore(req, res, next) {
+  let store = null;
+  const prefix = PREFIX.exec(req.url);
+  if (prefix && registry.get(prefix[1])) {
+    store = registry.get(prefix[1]);
+    req.url = `/api${req.url.slice(prefix[0].length)}`;
+  }
+  const header = req.get("X-Store-Id");
+  // Without a path prefix the header picks the shop – shared caches must
+  // not serve one shop's (public) catalogue to another
+  if (!store) res.vary("X-Store-Id");
+  if (!store && header) {
+    store = registry.get(header);
+    if (!store) return next(new NotFoundError(`Unknown store: ${header}`));
+  }
+  if (!store && req.hostname) {
+    store =
+      registry.byHost(req.hostname) || registry.get(req.hostname.split(".")[0]);
+  }
+  req.store = store || registry.defaultStore;
+  runWithStore(req.store, next);
+}
+
+module.exports = {
+  createRegistry,
+  registry,
+  currentStore,
+  runWithStore,
+  storeKey,
+  resolveStore,
+};
@@ -0,0 +1,207 @@
+// Declarative request validation
+// --------------------------------------------------------------
+// Routes declare a schema per request part:
+//
+//   router.get("/products", validate({
+//     query: { first: v.int({ min: 1, max: 250 }), after: v.string() },
+//   }), handler)
+//
+// • Values are coerced in place (query strings → numbers/booleans), so
+//   handlers receive typed input.
+// • Every offending field is reported at once as a 422 ValidationError:
+//     { error: "Validation failed", code: "VALIDATION_FAILED",
+//       details: [{ field, location, message }], requestId }
+// • Keys not declared in a schema are passed through untouched, except in
+//   v.object(shape, { strict: true }), which rejects them – for objects
+//   handed to Shopify as they are.
+// • Cross‑field rules go in `refine(req)`, which runs once every field is
+//   valid and returns extra `{ field, location, message }` issues.
+// --------------------------------------------------------------
+
+const { ValidationError } = require("./errors");
+
+class Invalid extends Error {}
+
+/**
+ * Build a rule from a check function. `check(value)` returns the coerced
+ * value or throws `Invalid` with a message; nested rules may instead push
+ * their own issues through `ctx.report`.
+ */
+const rule =
+  (check) =>
+  ({ required = false, ...opts } = {}) => ({ required, opts, check });
+
+const v = {
+  string: rule((value, { opts }) => {
+    if (typeof value !== "string") throw new Invalid("must be a string");
+    const { minLength, maxLength, pattern, enum: allowed } = opts;
+    if (minLength !== undefined && value.length < minLength)
+      throw new Invalid(`must be at least ${minLength} characters`);
+    if (maxLength !== undefined && value.length > maxLength)
+      throw new Invalid(`must be at most ${maxLength} characters`);
+    if (pattern && !pattern.test(value))
+      throw new Invalid(opts.patternMessage || "has an invalid format");
+    if (allowed && !allowed.includes(value))
+      throw new Invalid(`must be one of: ${allowed.join(", ")}`);
+    return value;
+  }),
+
+  int: rule((value, { opts }) => {
+    const n =
+      typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (!Number.isInteger(n)) throw new Invalid("must be an integer");
+    if (opts.min !== undefined && n < opts.min)
+      throw new Invalid(`must be ≥ ${opts.min}`);
+    if (opts.max !== undefined && n > opts.max)
+      throw new Invalid(`must be ≤ ${opts.max}`);
+    return n;
+  }),
+
+  number: rule((value, { opts }) => {
+    const n =
+      typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+    if (typeof n !== "number" || !Number.isFinite(n))
+      throw new Invalid("must be a number");
+    if (opts.min !== undefined && n < opts.min)
+      throw new Invalid(`must be ≥ ${opts.min}`);
+    if (opts.max !== undefined && n > opts.max)
+      throw new Invalid(`must be ≤ ${opts.max}`);
+    return n;
+  }),
+
+  boolean: rule((value) => {
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    throw new Invalid("must be true or false");
+  }),
+
+  email: rule((value) => {
+    if (typeof value !== "string" || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value))
+      throw new Invalid("must be a valid email address");
+    return value;
+  }),
+
+  /** ISO 8601 date or date‑time. */
+  date: rule((value) => {
+    if (
+      typeof value !== "string" ||
+      !/^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value) ||
+      Number.isNaN(Date.parse(value))
+    )
+      throw new Invalid("must be an ISO 8601 date");
+    return value;
+  }),
+
+  /** Shopify GID of the given type, e.g. v.gid("ProductVariant"). */
+  gid: (type, opts) =>
+    v.string({
+      ...opts,
+      pattern: new RegExp(`^gid://shopify/${type}/[^\\s/]+$`),
+      patternMessage: `must be a ${type} GID (gid://shopify/${type}/…)`,
+    }),
+
+  /** Array of `item`; a single query‑string value counts as a one‑item list. */
+  list: (item, opts) =>
+    rule((value, ctx) => {
+      const items = Array.isArray(value) ? value : [value];
+      if (!Array.isArray(value) && !ctx.opts.single)
+        throw new Invalid("must be an array");
+      if (ctx.opts.minItems !== undefined && items.length < ctx.opts.minItems)
+        throw new Invalid(`must contain at least ${ctx.opts.minItems} item(s)`);
+      if (ctx.opts.maxItems !== undefined && items.length > ctx.opts.maxItems)
+        throw new Invalid(`must contain at most ${ctx.opts.maxItems} items`);
+      return items.map((entry, i) => ctx.run(item, entry, `${ctx.path}[${i}]`));
+    })(opts),
+
+  object: (shape, opts) =>
+    rule((value, ctx) => {
+      if (!value || typeof value !== "object" || Array.isArray(value))
+        throw new Invalid("must be an object");
+      const checked = ctx.shape(shape, value, ctx.path);
+      const unknown = Object.keys(value).filter((key) => !(key in shape));
+      if (ctx.opts.strict && unknown.length)
+        throw new Invalid(`must not contain: ${unknown.join(", ")}`);
+      return checked;
+    })(opts),
+
+  /** Object of free‑form keys (e.g. option names), every value an `item`. */
+  record: (item, opts) =>
+    rule((value, ctx) => {
+      if (!value || typeof value !== "object" || Array.isArray(value))
+        throw new Invalid("must be an object");
+      const entries = Object.entries(value);
+      if (ctx.opts.maxKeys !== undefined && entries.length > ctx.opts.maxKeys)
+        throw new Invalid(`must have at most ${ctx.opts.maxKeys} keys`);
+      return Object.fromEntries(
+        entries.map(([key, entry]) => [
+          key,
+          ctx.run(item, entry, `${ctx.path}.${key}`),
+        ])
+      );
+    })(opts),
+};
+
+/**
+ * Validate `input` against `shape`, collecting issues into `errors`.
+ * Returns a copy of `input` with declared keys coerced.
+ */
+function checkShape(shape, input, prefix, location, errors) {
+  const source = input || {};
+  const output = { ...source };
+
+  const run = (r, value, path) => {
+    try {
+      return r.check(value, {
+        opts: r.opts,
+        path,
+        run,
+        shape: (s, obj, p) => checkShape(s, obj, p, location, errors),
+      });
+    } catch (err) {
+      if (!(err instanceof Invalid)) throw err;
+      errors.push({ field: path, location, message: err.message });
+      return value;
+    }
+  };
+
+  for (const [key, r] of Object.entries(shape)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const value = source[key];
+    if (value === undefined || value === null || value === "") {
+      if (r.required)
+        errors.push({ field: path, location, message: "is required" });
+      continue;
+    }
+    output[key] = run(r, value, path);
+  }
+  return output;
+}
+
+/**
+ * Express middleware validating `req.params`, `req.query` and `req.body`
+ * against the given schemas before the handler (and Shopify) runs.
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const coerced = {};
+    for (const location of ["params", "query", "body"]) {
+      if (schemas[location])
+        coerced[location] = checkShape(
+          schemas[location],
+          req[location],
+          "",
+          location,
+          errors
+        );
+    }
+    if (!errors.length) {
+      for (const [location, values] of Object.entries(coerced))
+        Object.assign(req[location], values);
+      if (schemas.refine) errors.push(...schemas.refine(req));
+    }
+    next(errors.length ? new ValidationError(errors) : undefined);
+  };
+}
+
+module.exports = { validate, v };
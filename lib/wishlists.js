@@ -0,0 +1,160 @@
+// Wishlists – products a customer saved for later
+// --------------------------------------------------------------
+// • A wishlist is a list of items in the order they were saved:
+//     { productId, variantId, addedAt }
+//   `variantId` is optional (the variant the customer had picked).
+// • Stored per customer as a `json` customer metafield through the Admin
+//   API – visible in the Shopify admin and shared by every instance.
+//   Stores without an Admin token, or WISHLIST_STORE=memory | file, keep
+//   wishlists in a lib/kv.js adapter instead (useStore() swaps it).
+// • Updates read, modify and write the whole list; two devices saving at
+//   the same instant may drop one of the changes.
+// • Optional environment variables:
+//     WISHLIST_STORE      metafield (default) | memory | file
+//     WISHLIST_METAFIELD  namespace.key (default custom.wishlist)
+//     WISHLIST_STORE_DIR  directory for WISHLIST_STORE=file
+// --------------------------------------------------------------
+
+const os = require("os");
+const path = require("path");
+const { gql } = require("graphql-request");
+const { admin } = require("./shopify");
+const { currentStore, storeKey } = require("./stores");
+const { kvFromEnv } = require("./kv");
+const { UserError } = require("./errors");
+
+const MAX_ITEMS = 100;
+
+const [NAMESPACE, KEY] = (
+  process.env.WISHLIST_METAFIELD || "custom.wishlist"
+).split(".");
+
+const WISHLIST_QUERY = gql`
+  query WishlistMetafield($id: ID!, $namespace: String!, $key: String!) {
+    customer(id: $id) {
+      metafield(namespace: $namespace, key: $key) {
+        value
+      }
+    }
+  }
+`;
+
+const WISHLIST_SAVE_MUTATION = gql`
+  mutation WishlistSave($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      userErrors {
+        field
+        message
+        code
+      }
+    }
+  }
+`;
+
+/** Wishlists in a customer metafield (Admin API). */
+function createMetafieldBackend({ namespace = NAMESPACE, key = KEY } = {}) {
+  return {
+    async get(customerId) {
+      const data = await admin(WISHLIST_QUERY, {
+        id: customerId,
+        namespace,
+        key,
+      });
+      const value = data.customer?.metafield?.value;
+      return value ? JSON.parse(value) : [];
+    },
+    async set(customerId, items) {
+      await admin(WISHLIST_SAVE_MUTATION, {
+        metafields: [
+          {
+            ownerId: customerId,
+            namespace,
+            key,
+            type: "json",
+            value: JSON.stringify(items),
+          },
+        ],
+      });
+    },
+  };
+}
+
+/** Wishlists in a lib/kv.js adapter, namespaced per shop. */
+function createLocalBackend(store) {
+  const keyFor = (customerId) => storeKey(`wishlist:${customerId}`);
+  const backend = {
+    store,
+    get: async (customerId) =>
+      (await backend.store.get(keyFor(customerId))) || [],
+    set: (customerId, items) => backend.store.set(keyFor(customerId), items),
+  };
+  return backend;
+}
+
+/**
+ * Create the wishlist service. `mode` "metafield" uses the Admin API for
+ * stores that have a token and `store` (lib/kv.js) for the others; any
+ * other mode always uses `store`.
+ */
+function createWishlists({
+  mode = process.env.WISHLIST_STORE || "metafield",
+  store = kvFromEnv("WISHLIST_STORE", {
+    dir: path.join(os.tmpdir(), "storefront-wishlists"),
+    max: 10000,
+  }),
+  metafield,
+} = {}) {
+  const remote = createMetafieldBackend(metafield);
+  const local = createLocalBackend(store);
+  const backend = () =>
+    mode === "metafield" && currentStore().adminToken ? remote : local;
+
+  const wishlists = {
+    /** The customer's items, oldest first. */
+    get: (customerId) => backend().get(customerId),
+
+    /**
+     * Save a product (again: only its variant changes). Resolves with the
+     * updated items.
+     */
+    async add(customerId, { productId, variantId = null }) {
+      const items = await wishlists.get(customerId);
+      const existing = items.find((item) => item.productId === productId);
+      if (existing) {
+        existing.variantId = variantId || existing.variantId;
+      } else {
+        if (items.length >= MAX_ITEMS)
+          throw new UserError(`Wishlists hold at most ${MAX_ITEMS} products`, [
+            { field: "productId", code: "TOO_MANY", message: "Wishlist full" },
+          ]);
+        items.push({ productId, variantId, addedAt: new Date().toISOString() });
+      }
+      await backend().set(customerId, items);
+      return items;
+    },
+
+    /**
+     * Remove products (every one when `productIds` is omitted). Resolves
+     * with the remaining items.
+     */
+    async remove(customerId, productIds) {
+      const items = await wishlists.get(customerId);
+      const remaining = productIds
+        ? items.filter((item) => !productIds.includes(item.productId))
+        : [];
+      if (remaining.length !== items.length)
+        await backend().set(customerId, remaining);
+      return remaining;
+    },
+
+    /** Replace the adapter used without the Admin API. */
+    useStore(next) {
+      local.store = next;
+    },
+  };
+  return wishlists;
+}
+
+const wishlists = createWishlists();
+
+module.exports = { createWishlists, wishlists };
@@ -0,0 +1,159 @@
+// Health, readiness and metrics – for load balancers and monitoring
+// --------------------------------------------------------------
+// • GET /health   liveness: the process is up and serving (never calls
+//                 Shopify, so a Shopify outage doesn't restart the pods)
+// • GET /ready    readiness: a cheap Storefront `shop` query per store,
+//                 plus an Admin one where an Admin token is configured.
+//                 200 when every check passes, 503 otherwise:
+//     { status: "ready" | "unavailable",
+//       stores: { <storeId>: { storefront: { ok, latencyMs, error? },
+//                              admin: { … } | null } } }
+//                 The route is public, so one round of checks answers every
+//                 probe for READY_CACHE_SEC – it can't be used to burn the
+//                 shops' Shopify rate limits.
+// • GET /metrics  Prometheus text format (lib/metrics.js), only with
+//                 `Authorization: Bearer <METRICS_TOKEN>`; 404 while
+//                 METRICS_TOKEN is unset.
+// • Mounted before store resolution and CORS – probes send no headers.
+// • Optional environment variables:
+//     READY_TIMEOUT_MS – per-check deadline (default 3000)
+//     READY_CACHE_SEC  – how long a readiness result is reused (default 5)
+//     METRICS_TOKEN    – bearer token scrapers send to GET /metrics
+// --------------------------------------------------------------
+
+const crypto = require("crypto");
+const express = require("express");
+const { gql } = require("graphql-request");
+const { storefront, admin } = require("../lib/shopify");
+const { registry, runWithStore } = require("../lib/stores");
+const { metrics } = require("../lib/metrics");
+const {
+  NotFoundError,
+  UnauthorizedError,
+  UpstreamTimeoutError,
+  asyncHandler,
+} = require("../lib/errors");
+
+const router = express.Router();
+
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS) || 3000;
+const READY_CACHE_MS =
+  (process.env.READY_CACHE_SEC ? Number(process.env.READY_CACHE_SEC) : 5) *
+  1000;
+
+const STOREFRONT_READY_QUERY = gql`
+  query StorefrontReady {
+    shop {
+      name
+    }
+  }
+`;
+
+const ADMIN_READY_QUERY = gql`
+  query AdminReady {
+    shop {
+      name
+    }
+  }
+`;
+
+/**
+ * Time `call`, giving up after READY_TIMEOUT_MS (retries and timeouts of
+ * the client are longer than a probe waits).
+ */
+async function check(call) {
+  const started = Date.now();
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new UpstreamTimeoutError("Readiness check timed out")),
+      READY_TIMEOUT_MS
+    );
+  });
+  try {
+    await Promise.race([call(), deadline]);
+    return { ok: true, latencyMs: Date.now() - started };
+  } catch (err) {
+    return {
+      ok: false,
+      latencyMs: Date.now() - started,
+      error: { code: err.code || "ERROR", message: err.message },
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const checkStore = (store) =>
+  runWithStore(store, async () => {
+    const [storefrontCheck, adminCheck] = await Promise.all([
+      check(() => storefront(STOREFRONT_READY_QUERY, {}, store)),
+      store.adminToken
+        ? check(() => admin(ADMIN_READY_QUERY, {}, store))
+        : null,
+    ]);
+    return { storefront: storefrontCheck, admin: adminCheck };
+  });
+
+// Latest round of checks: { promise, expiresAt } – expiresAt is null while
+// it runs, so concurrent probes share it too
+let lastCheck = null;
+
+/** Check every store, reusing a running or recent round. */
+function checkStores() {
+  if (
+    lastCheck &&
+    (lastCheck.expiresAt === null || Date.now() < lastCheck.expiresAt)
+  )
+    return lastCheck.promise;
+  const stores = [...registry.stores.values()];
+  const current = { expiresAt: null };
+  current.promise = Promise.all(stores.map(checkStore))
+    .then((results) =>
+      Object.fromEntries(stores.map((store, i) => [store.id, results[i]]))
+    )
+    .finally(() => {
+      current.expiresAt = Date.now() + READY_CACHE_MS;
+    });
+  lastCheck = current;
+  return current.promise;
+}
+
+/** Reject scrapes without `Authorization: Bearer <METRICS_TOKEN>`. */
+function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return next(new NotFoundError());
+  const [, token = ""] =
+    /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "") || [];
+  const a = crypto.createHash("sha256").update(token).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+  if (!crypto.timingSafeEqual(a, b))
+    return next(new UnauthorizedError("Invalid metrics token"));
+  next();
+}
+
+router.get("/health", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+router.get(
+  "/ready",
+  asyncHandler(async (req, res) => {
+    const stores = await checkStores();
+    const ready = Object.values(stores).every(
+      (result) => result.storefront.ok && (result.admin?.ok ?? true)
+    );
+    res.set("Cache-Control", "no-store");
+    res
+      .status(ready ? 200 : 503)
+      .json({ status: ready ? "ready" : "unavailable", stores });
+  })
+);
+
+router.get("/metrics", requireMetricsToken, (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+module.exports = router;
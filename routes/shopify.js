@@ -3,143 +3,712 @@
 // Notes:
 // • Cursor‑based pagination is exposed via `?after=` & `?before=` query params.
 // • All responses are normalised JSON objects – no GraphQL wrapper noise.
-// • Environment variables required:
-//     SHOPIFY_DOMAIN, SHOPIFY_STOREFRONT_TOKEN
+// • Every route serves the store resolved for the request (lib/stores.js)
+//   in the buyer's country/language (`?country=` & `?language=`, see
+//   lib/localization.js) – money fields always carry `currencyCode`.
+// • Login, password recovery/reset, registration and cart mutations are
+//   rate limited per IP (and per email where there is one); repeated
+//   failed logins lock the email for a while (lib/rateLimit.js).
 // --------------------------------------------------------------
 
 const express = require("express");
-const { request, gql } = require("graphql-request");
-const axios = require("axios");
+const { gql } = require("graphql-request");
+const { storefront } = require("../lib/shopify");
+const {
+  enrichProducts,
+  ALLOWED_METAFIELD_FILTER,
+} = require("../lib/enrichment");
+const {
+  metafieldSelection,
+  readMetafields,
+  withMetafields,
+} = require("../lib/metafields");
+const { currentStore, storeKey } = require("../lib/stores");
+const { currentLocale, inContext } = require("../lib/localization");
+const { homeLayout } = require("../lib/layouts");
+const { currentLogger } = require("../lib/logger");
+const {
+  bearerToken,
+  lookupCustomer,
+  requireCustomer,
+  forgetToken,
+} = require("../lib/auth");
+const { savedCarts } = require("../lib/savedCarts");
+const { wishlists } = require("../lib/wishlists");
+const { rateLimit, rateLimiter } = require("../lib/rateLimit");
+const { validate, v } = require("../lib/validate");
+const {
+  ApiError,
+  asyncHandler,
+  NotFoundError,
+  UnauthorizedError,
+  UserError,
+} = require("../lib/errors");
+const {
+  catalogueCache,
+  queryKey,
+  cacheControl,
+  entityTags,
+} = require("../lib/cache");
 
 const router = express.Router();
 
-const SHOPIFY_DOMAIN = process.env.SHOPIFY_DOMAIN;
-
 // ---------------------------------------------
 // Helpers
 // ---------------------------------------------
-const SHOPIFY_ENDPOINT = `https://${process.env.SHOPIFY_DOMAIN}/api/2023-10/graphql.json`;
-const HEADERS = {
-  "X-Shopify-Storefront-Access-Token": process.env.SHOPIFY_STOREFRONT_TOKEN,
-  "Content-Type": "application/json",
-};
-
-const ADMIN_API = `https://${SHOPIFY_DOMAIN}/admin/api/2023-10/graphql.json`;
-const ADMIN_HEADERS = {
-  "X-Shopify-Access-Token": process.env.SHOPIFY_ADMIN_API_TOKEN,
-  "Content-Type": "application/json",
+// MoneyV2 selection shared by every query
+const MONEY = "{ amount currencyCode }";
+
+// Cache policies for read‑only catalogue routes (seconds)
+const CACHE_POLICIES = {
+  products: { ttl: 60, swr: 300 },
+  search: { ttl: 60, swr: 300 },
+  product: { ttl: 120, swr: 600 },
+  collection: { ttl: 300, swr: 1800 },
+  collections: { ttl: 300, swr: 1800 },
+  recommendations: { ttl: 300, swr: 1800 },
+  localization: { ttl: 600, swr: 3600 },
+  home: { ttl: 120, swr: 600 },
+  content: { ttl: 300, swr: 1800 },
 };
 
 /**
- * Execute a GraphQL query or mutation against the Storefront API.
- * Auto‑throws on userErrors.
+ * Cached `storefront()` for catalogue queries – identical queries share one
+ * cache entry and one in‑flight request. Entries are tagged with every
+ * product/collection in the response (plus `tags`) so webhooks can purge them.
+ * Keys and tags are namespaced by store; keys include the locale.
  */
-async function storefront(query, variables = {}) {
-  const data = await request(SHOPIFY_ENDPOINT, query, variables, HEADERS);
-  // Surface top‑level userErrors (mutations only) – keeps handlers clean
-  const errorPaths = Object.keys(data).filter(
-    (k) => data[k]?.customerUserErrors || data[k]?.userErrors
+function cachedStorefront(query, variables, policy, tags = []) {
+  const store = currentStore();
+  // Localize first so the key covers the country/language
+  const localized = inContext(query, variables);
+  return catalogueCache.wrap(
+    storeKey(queryKey(localized.query, localized.variables), store),
+    {
+      ...policy,
+      tags: (data) =>
+        [...tags, ...entityTags(data)].map((tag) => storeKey(tag, store)),
+    },
+    () => storefront(localized.query, localized.variables, store)
   );
-  if (errorPaths.length) {
-    const errs = errorPaths
-      .map((k) => data[k].customerUserErrors || data[k].userErrors)
-      .flat();
-    const e = new Error("Shopify user error");
-    e.details = errs;
-    throw e;
-  }
-  return data;
 }
 
+// Shared validation rules
+const CURSOR = v.string({
+  maxLength: 1024,
+  pattern: /^[A-Za-z0-9+/=_-]+$/,
+  patternMessage: "must be a pagination cursor",
+});
+const PAGINATION = {
+  first: v.int({ min: 1, max: 250 }),
+  last: v.int({ min: 1, max: 250 }),
+  after: CURSOR,
+  before: CURSOR,
+};
+const HANDLE = v.string({
+  required: true,
+  maxLength: 255,
+  pattern: /^[^\s/]+$/,
+  patternMessage: "must be a valid handle",
+});
+// Admin‑backed filters/annotation (lib/enrichment.js). Filtering happens
+// after pagination, so a filtered page may hold fewer than `first` items.
+const ADMIN_FILTER_QUERY = {
+  status: v.list(v.string({ enum: ["active", "draft", "archived"] }), {
+    single: true,
+  }),
+  inStock: v.boolean(),
+  metafield: v.list(
+    v.string({
+      maxLength: 255,
+      pattern: ALLOWED_METAFIELD_FILTER,
+      patternMessage:
+        "must be an ADMIN_METAFIELDS namespace.key, optionally :value",
+    }),
+    { single: true, maxItems: 10 }
+  ),
+  annotate: v.boolean(),
+};
+/** Annotations carry Admin data – keep them out of shared caches. */
+const annotatedCacheControl = (req, res, next) => {
+  if (req.query.annotate) res.set("Cache-Control", "private, no-store");
+  next();
+};
+
 // ---------------------------------------------
 // 1. Products list (cursor pagination)
 //    GET /products?first=12&after=CURSOR
 //    GET /products?last=12&before=CURSOR
+//    Admin filters: status, inStock, metafield, annotate
 // ---------------------------------------------
-router.get("/products", async (req, res) => {
-  const { first = 10, last, after, before } = req.query;
-  const edgesField =
-    "edges { cursor node { id title handle description images(first:1){edges{node{url}}} variants(first:1){edges{node{price{amount}}}} } }";
-  const query = gql`
-    query Products($first: Int, $last: Int, $after: String, $before: String) {
-      products(first: $first, last: $last, after: $after, before: $before) {
-        pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
-        ${edgesField}
+// Summary fields shared by every product listing (products, search), with
+// the registry metafields (lib/metafields.js)
+const PRODUCT_METAFIELDS = metafieldSelection("product");
+const VARIANT_METAFIELDS = metafieldSelection("variant");
+const COLLECTION_METAFIELDS = metafieldSelection("collection");
+const PRODUCT_SUMMARY_FIELDS = `id title handle description images(first:1){edges{node{url}}} variants(first:1){edges{node{price${MONEY} ${VARIANT_METAFIELDS}}}} ${PRODUCT_METAFIELDS}`;
+
+// Product card – the flattened shape shared by /all-collections,
+// recommendations and other carousels
+const PRODUCT_CARD_FIELDS = `
+  id
+  title
+  handle
+  createdAt
+  description
+  images(first: 1) { edges { node { url } } }
+  variants(first: 1) {
+    edges {
+      node {
+        price ${MONEY}
+        compareAtPrice ${MONEY}
       }
     }
-  `;
-  try {
+  }
+  ${PRODUCT_METAFIELDS}
+`;
+
+/** Flatten a PRODUCT_CARD_FIELDS node into a product card. */
+function toProductCard(product) {
+  const variant = product.variants?.edges?.[0]?.node;
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle,
+    createdAt: product.createdAt,
+    description: product.description,
+    image: product.images?.edges?.[0]?.node?.url || null,
+    salePrice: variant?.price?.amount || null,
+    comparePrice: variant?.compareAtPrice?.amount || null,
+    currencyCode: variant?.price?.currencyCode || null,
+    // Registry metafields, e.g. metafields.moneyPrice
+    metafields: readMetafields(product, "product"),
+  };
+}
+
+router.get(
+  "/products",
+  validate({ query: { ...PAGINATION, ...ADMIN_FILTER_QUERY } }),
+  cacheControl(CACHE_POLICIES.products),
+  annotatedCacheControl,
+  asyncHandler(async (req, res) => {
+    const { first = 10, last, after, before } = req.query;
+    const edgesField = `edges { cursor node { ${PRODUCT_SUMMARY_FIELDS} } }`;
+    const query = gql`
+      query Products($first: Int, $last: Int, $after: String, $before: String) {
+        products(first: $first, last: $last, after: $after, before: $before) {
+          pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
+          ${edgesField}
+        }
+      }
+    `;
     const vars = {
-      first: Number(first),
+      first: last ? undefined : Number(first),
       last: last ? Number(last) : undefined,
       after,
       before,
     };
-    const data = await storefront(query, vars);
+    const data = await cachedStorefront(query, vars, CACHE_POLICIES.products);
     const { pageInfo, edges } = data.products;
     res.json({
       pageInfo,
-      products: edges.map((e) => ({ ...e.node, cursor: e.cursor })),
-    });
-  } catch (err) {
-    res.status(500).json({
-      error: "Failed to fetch products",
-      details: err.details || err.message,
+      products: await enrichProducts(
+        edges.map((e) => ({
+          ...withMetafields(e.node, "product"),
+          cursor: e.cursor,
+        })),
+        req.query
+      ),
     });
+  })
+);
+
+// ---------------------------------------------
+// 1b. Product search (filters, sorting, facets)
+//    GET /search?q=shirt&first=12&after=CURSOR
+//    Filters: minPrice, maxPrice, available, productType, vendor, tag,
+//             option[Color]=Red (tag & option values may repeat)
+//    Sort:    relevance | price-asc (or price) | price-desc | newest |
+//             best-selling
+// ---------------------------------------------
+const SEARCH_SORTS = {
+  relevance: { sortKey: "RELEVANCE", reverse: false },
+  // Cheapest first, as price-asc
+  price: { sortKey: "PRICE", reverse: false },
+  "price-asc": { sortKey: "PRICE", reverse: false },
+  "price-desc": { sortKey: "PRICE", reverse: true },
+  // `search` can only sort by relevance/price – these go through `products`
+  newest: { sortKey: "CREATED_AT", reverse: true, viaProducts: true },
+  "best-selling": {
+    sortKey: "BEST_SELLING",
+    reverse: false,
+    viaProducts: true,
+  },
+};
+
+const FACET_FIELDS =
+  "productFilters { id label type values { id label count input } }";
+
+const toArray = (value) => (value === undefined ? [] : [].concat(value));
+
+// Filter params shared by /search and /collections/:handle
+const FILTER_VALUES = v.list(v.string({ maxLength: 255 }), { single: true });
+const PRODUCT_FILTER_QUERY = {
+  minPrice: v.number({ min: 0 }),
+  maxPrice: v.number({ min: 0 }),
+  available: v.boolean(),
+  productType: FILTER_VALUES,
+  vendor: FILTER_VALUES,
+  tag: FILTER_VALUES,
+  // option[<name>]=<value>; option names are per store
+  option: v.record(FILTER_VALUES, { maxKeys: 20 }),
+};
+
+/**
+ * Translate `/search` query params into Storefront `ProductFilter` inputs.
+ */
+function searchFilters(params) {
+  const filters = [];
+  const { minPrice, maxPrice, available, productType, vendor, tag, option } =
+    params;
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const price = {};
+    if (minPrice !== undefined) price.min = Number(minPrice);
+    if (maxPrice !== undefined) price.max = Number(maxPrice);
+    filters.push({ price });
   }
-});
+  if (available !== undefined) filters.push({ available });
+  toArray(productType).forEach((t) => filters.push({ productType: t }));
+  toArray(vendor).forEach((v) => filters.push({ productVendor: v }));
+  toArray(tag).forEach((t) => filters.push({ tag: t }));
+  Object.entries(option || {}).forEach(([name, values]) =>
+    values.forEach((value) => filters.push({ variantOption: { name, value } }))
+  );
+  return filters;
+}
+
+/**
+ * Build a Shopify product search-syntax string equivalent to `searchFilters`,
+ * for the `products(query:)` connection used by the non-search sort orders.
+ */
+function productsQueryString(q, params) {
+  const quote = (v) => `"${String(v).replace(/"/g, '\\"')}"`;
+  const terms = q ? [q] : [];
+  const { minPrice, maxPrice, available, productType, vendor, tag } = params;
+  if (minPrice !== undefined)
+    terms.push(`variants.price:>=${Number(minPrice)}`);
+  if (maxPrice !== undefined)
+    terms.push(`variants.price:<=${Number(maxPrice)}`);
+  if (available !== undefined) terms.push(`available_for_sale:${available}`);
+  const anyOf = (field, values) =>
+    values.length &&
+    terms.push(`(${values.map((v) => `${field}:${quote(v)}`).join(" OR ")})`);
+  anyOf("product_type", toArray(productType));
+  anyOf("vendor", toArray(vendor));
+  toArray(tag).forEach((t) => terms.push(`tag:${quote(t)}`));
+  return terms.join(" AND ");
+}
+
+const toFacets = (productFilters) =>
+  productFilters.map((f) => ({
+    id: f.id,
+    label: f.label,
+    type: f.type,
+    values: f.values.map((v) => ({
+      id: v.id,
+      label: v.label,
+      count: v.count,
+      input: JSON.parse(v.input),
+    })),
+  }));
+
+const SEARCH_SCHEMA = {
+  query: {
+    ...PAGINATION,
+    ...PRODUCT_FILTER_QUERY,
+    q: v.string({ maxLength: 255 }),
+    sort: v.string({ enum: Object.keys(SEARCH_SORTS) }),
+  },
+  refine: ({ query }) =>
+    SEARCH_SORTS[query.sort]?.viaProducts && query.option
+      ? [
+          {
+            field: "option",
+            location: "query",
+            message: `cannot be combined with sort=${query.sort}`,
+          },
+        ]
+      : [],
+};
+
+router.get(
+  "/search",
+  validate(SEARCH_SCHEMA),
+  cacheControl(CACHE_POLICIES.search),
+  asyncHandler(async (req, res) => {
+    const {
+      q = "",
+      first = 10,
+      last,
+      after,
+      before,
+      sort = "relevance",
+    } = req.query;
+    const order = SEARCH_SORTS[sort];
+
+    const filters = searchFilters(req.query);
+    const page = {
+      first: last ? undefined : Number(first),
+      last: last ? Number(last) : undefined,
+      after,
+      before,
+    };
+    const edgesField = `edges { cursor node { ... on Product { ${PRODUCT_SUMMARY_FIELDS} } } }`;
+    const pageInfoField =
+      "pageInfo { hasNextPage hasPreviousPage startCursor endCursor }";
+
+    let connection, facets;
+    if (order.viaProducts) {
+      const productsQuery = gql`
+        query SearchProducts($first: Int, $last: Int, $after: String, $before: String, $query: String, $sortKey: ProductSortKeys, $reverse: Boolean) {
+          products(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: $sortKey, reverse: $reverse) {
+            ${pageInfoField}
+            edges { cursor node { ${PRODUCT_SUMMARY_FIELDS} } }
+          }
+        }
+      `;
+      // Facet counts still come from `search`, which is the only connection
+      // that exposes them
+      const facetsQuery = gql`
+        query SearchFacets($query: String!, $filters: [ProductFilter!]) {
+          search(query: $query, first: 1, types: [PRODUCT], productFilters: $filters) {
+            totalCount
+            ${FACET_FIELDS}
+          }
+        }
+      `;
+      const [products, search] = await Promise.all([
+        cachedStorefront(
+          productsQuery,
+          {
+            ...page,
+            query: productsQueryString(q, req.query),
+            sortKey: order.sortKey,
+            reverse: order.reverse,
+          },
+          CACHE_POLICIES.search
+        ),
+        cachedStorefront(
+          facetsQuery,
+          { query: q, filters },
+          CACHE_POLICIES.search
+        ),
+      ]);
+      connection = products.products;
+      facets = search.search;
+    } else {
+      const query = gql`
+        query Search($first: Int, $last: Int, $after: String, $before: String, $query: String!, $filters: [ProductFilter!], $sortKey: SearchSortKeys, $reverse: Boolean) {
+          search(first: $first, last: $last, after: $after, before: $before, query: $query, types: [PRODUCT], productFilters: $filters, sortKey: $sortKey, reverse: $reverse) {
+            totalCount
+            ${FACET_FIELDS}
+            ${pageInfoField}
+            ${edgesField}
+          }
+        }
+      `;
+      const data = await cachedStorefront(
+        query,
+        {
+          ...page,
+          query: q,
+          filters,
+          sortKey: order.sortKey,
+          reverse: order.reverse,
+        },
+        CACHE_POLICIES.search
+      );
+      connection = facets = data.search;
+    }
+
+    res.json({
+      pageInfo: connection.pageInfo,
+      products: connection.edges.map((e) => ({
+        ...withMetafields(e.node, "product"),
+        cursor: e.cursor,
+      })),
+      totalCount: facets.totalCount,
+      facets: toFacets(facets.productFilters),
+    });
+  })
+);
 
 // ---------------------------------------------
 // 2. Single product by handle
 //    GET /products/:handle
+//    GET /products/:handle?variant[Color]=Red&variant[Size]=M
+//        → `selectedVariant` matching those options (null when none does)
+//    GET /products/:handle?variantsFirst=100&variantsAfter=CURSOR
+//        → next page of `variants` (see `variantsPageInfo`)
+//    Admin filters: status, inStock, metafield, annotate (404 when filtered)
 // ---------------------------------------------
-router.get("/products/:handle", async (req, res) => {
-  const handle = req.params.handle;
-  const query = gql`
-    query ProductByHandle($handle: String!) {
-      product(handle: $handle) {
-        id
-        title
-        handle
-        description
-        images(first: 10) {
-          edges {
-            node {
-              url
-            }
+const IMAGE_FIELDS = "{ url altText width height }";
+const VARIANT_FIELDS = `
+  id
+  title
+  sku
+  availableForSale
+  currentlyNotInStock
+  quantityAvailable
+  price ${MONEY}
+  compareAtPrice ${MONEY}
+  selectedOptions { name value }
+  image ${IMAGE_FIELDS}
+  ${VARIANT_METAFIELDS}
+`;
+const MEDIA_FIELDS = `
+  id
+  mediaContentType
+  alt
+  previewImage ${IMAGE_FIELDS}
+  ... on MediaImage { image ${IMAGE_FIELDS} }
+  ... on Video { sources { url mimeType format width height } }
+  ... on ExternalVideo { host embedUrl }
+  ... on Model3d { sources { url mimeType format filesize } }
+`;
+
+const PRODUCT_SCHEMA = {
+  params: { handle: HANDLE },
+  query: {
+    ...ADMIN_FILTER_QUERY,
+    variant: v.object({}),
+    variantsFirst: v.int({ min: 1, max: 250 }),
+    variantsAfter: CURSOR,
+  },
+  // `variant` is free‑form (option names are per product) – values only
+  refine: ({ query }) =>
+    Object.entries(query.variant || {})
+      .filter(
+        ([, value]) => typeof value !== "string" || !value || value.length > 255
+      )
+      .map(([name]) => ({
+        field: `variant.${name}`,
+        location: "query",
+        message: "must be a single option value",
+      })),
+};
+
+/** Flatten a media node to `{ id, type, alt, previewImage, … }`. */
+function toMedia({ mediaContentType, ...media }) {
+  return { type: mediaContentType, ...media };
+}
+
+router.get(
+  "/products/:handle",
+  validate(PRODUCT_SCHEMA),
+  cacheControl(CACHE_POLICIES.product),
+  annotatedCacheControl,
+  asyncHandler(async (req, res) => {
+    const handle = req.params.handle;
+    const { variant, variantsFirst = 100, variantsAfter } = req.query;
+    const selectedOptions = variant
+      ? Object.entries(variant).map(([name, value]) => ({ name, value }))
+      : null;
+    const query = gql`
+      query ProductByHandle($handle: String!, $variantsFirst: Int!, $variantsAfter: String, $selectedOptions: [SelectedOptionInput!]!, $withSelected: Boolean!) {
+        product(handle: $handle) {
+          id
+          title
+          handle
+          description
+          descriptionHtml
+          vendor
+          productType
+          tags
+          availableForSale
+          createdAt
+          updatedAt
+          seo { title description }
+          options { id name values }
+          priceRange { minVariantPrice ${MONEY} maxVariantPrice ${MONEY} }
+          compareAtPriceRange { minVariantPrice ${MONEY} maxVariantPrice ${MONEY} }
+          featuredImage ${IMAGE_FIELDS}
+          media(first: 50) { nodes { ${MEDIA_FIELDS} } }
+          variants(first: $variantsFirst, after: $variantsAfter) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ${VARIANT_FIELDS} }
           }
+          selectedVariant: variantBySelectedOptions(selectedOptions: $selectedOptions) @include(if: $withSelected) {
+            ${VARIANT_FIELDS}
+          }
+          ${PRODUCT_METAFIELDS}
         }
-        variants(first: 25) {
-          edges {
-            node {
+      }
+    `;
+    const data = await cachedStorefront(
+      query,
+      {
+        handle,
+        variantsFirst,
+        variantsAfter,
+        selectedOptions: selectedOptions || [],
+        withSelected: Boolean(selectedOptions),
+      },
+      CACHE_POLICIES.product,
+      [`product:${handle}`]
+    );
+    if (!data.product) throw new NotFoundError("Product not found");
+
+    // Also parses the metafields of `variants.nodes`
+    const { media, variants, selectedVariant, ...fields } = withMetafields(
+      data.product,
+      "product"
+    );
+    const [product] = await enrichProducts(
+      [
+        {
+          ...fields,
+          media: media.nodes.map(toMedia),
+          variants: variants.nodes,
+          variantsPageInfo: variants.pageInfo,
+          ...(selectedOptions && {
+            selectedVariant: withMetafields(selectedVariant, "variant"),
+          }),
+        },
+      ],
+      req.query
+    );
+    if (!product) throw new NotFoundError("Product not found");
+    res.json(product);
+  })
+);
+
+// ---------------------------------------------
+// 2b. Product recommendations
+//    GET /products/:handle/recommendations?intent=related&limit=10
+//    Intent: related | complementary. When Shopify has nothing, falls back
+//    to products of the same collection, then to products sharing a tag.
+//    Returns product cards (see toProductCard) and the `source` used.
+// ---------------------------------------------
+const RECOMMENDATION_INTENTS = {
+  related: "RELATED",
+  complementary: "COMPLEMENTARY",
+};
+
+const RECOMMENDATIONS_SCHEMA = {
+  params: { handle: HANDLE },
+  query: {
+    intent: v.string({ enum: Object.keys(RECOMMENDATION_INTENTS) }),
+    limit: v.int({ min: 1, max: 20 }),
+  },
+};
+
+/** Shopify search‑syntax query matching any of `tags`. */
+const anyTagQuery = (tags) =>
+  tags.map((t) => `tag:"${t.replace(/"/g, '\\"')}"`).join(" OR ");
+
+router.get(
+  "/products/:handle/recommendations",
+  validate(RECOMMENDATIONS_SCHEMA),
+  cacheControl(CACHE_POLICIES.recommendations),
+  asyncHandler(async (req, res) => {
+    const { handle } = req.params;
+    const { intent = "related", limit = 10 } = req.query;
+    const policy = CACHE_POLICIES.recommendations;
+    const tags = [`product:${handle}`];
+
+    const productQuery = gql`
+      query RecommendationSource($handle: String!) {
+        product(handle: $handle) {
+          id
+          tags
+          collections(first: 1) {
+            nodes {
               id
-              title
-              price {
-                amount
-              }
             }
           }
         }
       }
+    `;
+    const { product } = await cachedStorefront(
+      productQuery,
+      { handle },
+      policy,
+      tags
+    );
+    if (!product) throw new NotFoundError("Product not found");
+
+    // Drop the product itself – fallbacks fetch `limit + 1` to make up for it
+    const others = (products) =>
+      products
+        .filter((p) => p.id !== product.id)
+        .slice(0, limit)
+        .map(toProductCard);
+
+    const recommendationsQuery = gql`
+      query Recommendations($productId: ID!, $intent: ProductRecommendationIntent) {
+        productRecommendations(productId: $productId, intent: $intent) {
+          ${PRODUCT_CARD_FIELDS}
+        }
+      }
+    `;
+    const recommended = await cachedStorefront(
+      recommendationsQuery,
+      { productId: product.id, intent: RECOMMENDATION_INTENTS[intent] },
+      policy,
+      tags
+    );
+    let source = "shopify";
+    let products = others(recommended.productRecommendations || []);
+
+    const collection = product.collections.nodes[0];
+    if (!products.length && collection) {
+      const collectionQuery = gql`
+        query CollectionFallback($id: ID!, $first: Int!) {
+          collection(id: $id) {
+            products(first: $first) { edges { node { ${PRODUCT_CARD_FIELDS} } } }
+          }
+        }
+      `;
+      const data = await cachedStorefront(
+        collectionQuery,
+        { id: collection.id, first: limit + 1 },
+        policy,
+        tags
+      );
+      source = "collection";
+      products = others(
+        (data.collection?.products.edges || []).map((e) => e.node)
+      );
     }
-  `;
-  try {
-    const data = await storefront(query, { handle: handle });
-    console.log(data);
-    if (!data.productByHandle)
-      return res.status(404).json({ error: "Product not found" });
-    res.json(data.productByHandle);
-  } catch (err) {
-    res.status(500).json({
-      error: "Failed to fetch product",
-      details: err.details || err.message,
-    });
-  }
-});
+
+    if (!products.length && product.tags.length) {
+      const tagQuery = gql`
+        query TagFallback($query: String!, $first: Int!) {
+          products(first: $first, query: $query) {
+            edges { node { ${PRODUCT_CARD_FIELDS} } }
+          }
+        }
+      `;
+      const data = await cachedStorefront(
+        tagQuery,
+        { query: anyTagQuery(product.tags), first: limit + 1 },
+        policy,
+        tags
+      );
+      source = "tag";
+      products = others(data.products.edges.map((e) => e.node));
+    }
+
+    res.json({ intent, source: products.length ? source : null, products });
+  })
+);
 
 // ---------------------------------------------
 // 3. Collections w/ cursor pagination
 //    GET /collections?first=10&after=CURSOR
+//    Admin filters: status, inStock, metafield, annotate (applied to the
+//    products of every collection)
 // ---------------------------------------------
 // -------------------- GET COLLECTIONS WITH 4 PRODUCTS EACH --------------------
 //  router.get("/all-collections", async (req, res) => {
@@ -213,54 +782,35 @@ router.get("/products/:handle", async (req, res) => {
 //  });
 
 
-router.get("/all-collections", async (req, res) => {
-  const { cursor } = req.query;
-  const pagination = cursor ? `after: "${cursor}"` : "";
+router.get(
+  "/all-collections",
+  validate({ query: { cursor: CURSOR, ...ADMIN_FILTER_QUERY } }),
+  cacheControl(CACHE_POLICIES.collections),
+  annotatedCacheControl,
+  asyncHandler(async (req, res) => {
+    const { cursor } = req.query;
+    const pagination = cursor ? `after: "${cursor}"` : "";
 
-  const query = gql`
-    {
-      collections(first: 140, ${pagination}) {
-        pageInfo {
-          hasNextPage
-          endCursor
-        }
-        edges {
-          cursor
-          node {
-            id
-            title
-            handle
-            updatedAt
-            description
-            products(first: 10) {
-              edges {
-                node {
-                  id
-                  title
-                  handle
-                  createdAt
-                  description
-                  images(first: 1) {
-                    edges {
-                      node {
-                        url
-                      }
-                    }
-                  }
-                  variants(first: 1) {
-                    edges {
-                      node {
-                        price {
-                          amount
-                        }
-                        compareAtPrice {
-                          amount
-                        }
-                      }
-                    }
-                  }
-                  metafield(namespace: "custom", key: "money_price") {
-                    value
+    const query = gql`
+      query AllCollections {
+        collections(first: 140, ${pagination}) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          edges {
+            cursor
+            node {
+              id
+              title
+              handle
+              updatedAt
+              description
+              ${COLLECTION_METAFIELDS}
+              products(first: 10) {
+                edges {
+                  node {
+                    ${PRODUCT_CARD_FIELDS}
                   }
                 }
               }
@@ -268,28 +818,15 @@ router.get("/all-collections", async (req, res) => {
           }
         }
       }
-    }
-  `;
+    `;
 
-  try {
-    const data = await request(SHOPIFY_ENDPOINT, query, {}, HEADERS);
+    const data = await cachedStorefront(query, {}, CACHE_POLICIES.collections);
 
     const formattedCollections = data.collections.edges.map((edge) => {
       const collection = edge.node;
-      const products = collection.products.edges.map((p) => {
-        const product = p.node;
-        return {
-          id: product.id,
-          title: product.title,
-          handle: product.handle,
-          createdAt: product.createdAt,
-          description: product.description,
-          image: product.images?.edges?.[0]?.node?.url || null,
-          salePrice: product.variants?.edges?.[0]?.node?.price?.amount || null,
-          comparePrice: product.variants?.edges?.[0]?.node?.compareAtPrice?.amount || null,
-          moneyPrice: product.metafield?.value || null,
-        };
-      });
+      const products = collection.products.edges.map((p) =>
+        toProductCard(p.node)
+      );
 
       return {
         cursor: edge.cursor,
@@ -298,23 +835,115 @@ router.get("/all-collections", async (req, res) => {
         handle: collection.handle,
         updatedAt: collection.updatedAt,
         description: collection.description,
+        metafields: readMetafields(collection, "collection"),
         products,
       };
     });
 
+    // One Admin lookup for every product on the page
+    const enriched = await enrichProducts(
+      formattedCollections.flatMap((collection) => collection.products),
+      req.query
+    );
+    const kept = new Map(enriched.map((product) => [product.id, product]));
+    formattedCollections.forEach((collection) => {
+      collection.products = collection.products
+        .filter((product) => kept.has(product.id))
+        .map((product) => kept.get(product.id));
+    });
+
     res.json({
       collections: formattedCollections,
       pageInfo: data.collections.pageInfo,
       lastCursor: data.collections.pageInfo.endCursor,
     });
-  } catch (err) {
-    res.status(500).json({
-      error: "Failed to fetch collections",
-      details: err.message,
-    });
-  }
-});
+  })
+);
+
+// ---------------------------------------------
+// 3b. Single collection w/ paginated, filterable products
+//    GET /collections/:handle?first=12&after=CURSOR&sort=price-asc
+//    Accepts the same filter params as /search
+//    Sort: default | manual | best-selling | newest | price-asc |
+//          price-desc | title-asc | title-desc
+// ---------------------------------------------
+const COLLECTION_SORTS = {
+  default: { sortKey: "COLLECTION_DEFAULT", reverse: false },
+  manual: { sortKey: "MANUAL", reverse: false },
+  "best-selling": { sortKey: "BEST_SELLING", reverse: false },
+  newest: { sortKey: "CREATED", reverse: true },
+  "price-asc": { sortKey: "PRICE", reverse: false },
+  "price-desc": { sortKey: "PRICE", reverse: true },
+  "title-asc": { sortKey: "TITLE", reverse: false },
+  "title-desc": { sortKey: "TITLE", reverse: true },
+};
+
+const COLLECTION_SCHEMA = {
+  params: { handle: HANDLE },
+  query: {
+    ...PAGINATION,
+    ...PRODUCT_FILTER_QUERY,
+    sort: v.string({ enum: Object.keys(COLLECTION_SORTS) }),
+  },
+};
 
+router.get(
+  "/collections/:handle",
+  validate(COLLECTION_SCHEMA),
+  cacheControl(CACHE_POLICIES.collection),
+  asyncHandler(async (req, res) => {
+    const { first = 12, last, after, before, sort = "default" } = req.query;
+    const order = COLLECTION_SORTS[sort];
+
+    const query = gql`
+      query CollectionByHandle($handle: String!, $first: Int, $last: Int, $after: String, $before: String, $sortKey: ProductCollectionSortKeys, $reverse: Boolean, $filters: [ProductFilter!]) {
+        collection(handle: $handle) {
+          id
+          title
+          handle
+          description
+          descriptionHtml
+          updatedAt
+          image { url altText }
+          seo { title description }
+          ${COLLECTION_METAFIELDS}
+          products(first: $first, last: $last, after: $after, before: $before, sortKey: $sortKey, reverse: $reverse, filters: $filters) {
+            filters { id label type values { id label count input } }
+            pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
+            edges { cursor node { ${PRODUCT_SUMMARY_FIELDS} } }
+          }
+        }
+      }
+    `;
+    const vars = {
+      handle: req.params.handle,
+      first: last ? undefined : Number(first),
+      last: last ? Number(last) : undefined,
+      after,
+      before,
+      sortKey: order.sortKey,
+      reverse: order.reverse,
+      filters: searchFilters(req.query),
+    };
+    const data = await cachedStorefront(
+      query,
+      vars,
+      CACHE_POLICIES.collection,
+      [`collection:${req.params.handle}`]
+    );
+    if (!data.collection) throw new NotFoundError("Collection not found");
+    const { products, ...collection } = data.collection;
+    res.json({
+      collection: withMetafields(collection, "collection"),
+      pageInfo: products.pageInfo,
+      products: products.edges.map((e) => ({
+        ...withMetafields(e.node, "product"),
+        cursor: e.cursor,
+      })),
+      facets: toFacets(products.filters),
+    });
+  })
+);
 
 // router.get("/all-collections", async (req, res) => {
 //   let allCollections = [];
@@ -425,6 +1054,7 @@ router.get("/all-collections", async (req, res) => {
 //   }
 // });
 
+
 // router.get("/all-collections", async (req, res) => {
 //   let allCollections = [];
 //   let hasNextPage = true;
@@ -532,342 +1162,683 @@ router.get("/all-collections", async (req, res) => {
 //   }
 // });
 
-// router.get("/all-collections", async (req, res) => {
-//   try {
-//     const query = gql`
-//       {
-//         collections(first: 10) {
-//           edges {
-//             node {
-//               id
-//               title
-//               handle
-//               updatedAt
-//               products(first: 10) {
-//                 edges {
-//                   node {
-//                     id
-//                     title
-//                     handle
-//                     createdAt
-//                     description
-//                     images(first: 1) {
-//                       edges {
-//                         node {
-//                           url
-//                         }
-//                       }
-//                     }
-//                     variants(first: 1) {
-//                       edges {
-//                         node {
-//                           price {
-//                             amount
-//                           }
-//                           compareAtPrice {
-//                             amount
-//                           }
-//                         }
-//                       }
-//                     }
-//                     metafield(namespace: "custom", key: "money_price") {
-//                       value
-//                     }
-//                   }
-//                 }
-//               }
-//             }
-//           }
-//         }
-//       }
-//     `;
-
-//     // ✅ Storefront API Call
-//     const storefrontRes = await request(SHOPIFY_ENDPOINT, query, {}, HEADERS);
-
-//     // ✅ Gather All Product GIDs
-//     const allProducts = [];
-//     for (const collectionEdge of storefrontRes.collections.edges) {
-//       const products = collectionEdge.node.products.edges.map((p) => p.node);
-//       allProducts.push(...products);
-//     }
-
-//     const productGIDs = allProducts.map((p) => p.id);
-
-//     // ✅ Admin API Query to Get Product Statuses
-//     const adminQuery = {
-//       query: `
-//         {
-//           nodes(ids: [${productGIDs.map((id) => `"${id}"`).join(",")}]) {
-//             ... on Product {
-//               id
-//               status
-//             }
-//           }
-//         }
-//       `,
-//     };
-
-//     const adminRes = await axios.post(ADMIN_API, adminQuery, {
-//       headers: ADMIN_HEADERS,
-//     });
-
-//     const statusMap = {};
-//     for (const product of adminRes.data.data.nodes) {
-//       if (product) statusMap[product.id] = product.status;
-//     }
-
-//     // ✅ Prepare Response with Filtered ACTIVE Products
-//     const allCollections = storefrontRes.collections.edges.map((edge) => {
-//       const collection = edge.node;
-
-//       const filteredProducts = collection.products.edges
-//         .map((p) => p.node)
-//         .filter((p) => statusMap[p.id] === "ACTIVE")
-//         .map((p) => ({
-//           id: p.id,
-//           title: p.title,
-//           handle: p.handle,
-//           createdAt: p.createdAt,
-//           description: p.description,
-//           image: p.images?.edges?.[0]?.node?.url || null,
-//           salePrice: p.variants?.edges?.[0]?.node?.price?.amount || null,
-//           comparePrice: p.variants?.edges?.[0]?.node?.compareAtPrice?.amount || null,
-//           moneyPrice: p.metafield?.value || null,
-//         }));
-
-//       return {
-//         id: collection.id,
-//         title: collection.title,
-//         handle: collection.handle,
-//         updatedAt: collection.updatedAt,
-//         products: filteredProducts,
-//       };
-//     });
-
-//     res.json(allCollections);
-//   } catch (err) {
-//     console.error("Error fetching collections:", err?.response?.data || err.message || err);
-//     res.status(500).json({ error: "Failed to fetch collections", details: err?.message || "Unknown error" });
-//   }
-// });
-
-// module.exports = router;
-
-
-
-// const TARGET_COLLECTIONS = ["television", "headphones", "soundbar", "speakers", "cameras"];
-
-// router.get("/all-collections", async (req, res) => {
-//   try {
-//     const query = gql`
-//       {
-//         collections(first: 20) {
-//           edges {
-//             node {
-//               id
-//               title
-//               handle
-//               updatedAt
-//               products(first: 10) {
-//                 edges {
-//                   node {
-//                     id
-//                     title
-//                     handle
-//                     createdAt
-//                     description
-//                     images(first: 1) {
-//                       edges {
-//                         node {
-//                           url
-//                         }
-//                       }
-//                     }
-//                     variants(first: 1) {
-//                       edges {
-//                         node {
-//                           price {
-//                             amount
-//                           }
-//                           compareAtPrice {
-//                             amount
-//                           }
-//                         }
-//                       }
-//                     }
-//                     metafield(namespace: "custom", key: "money_price") {
-//                       value
-//                     }
-//                   }
-//                 }
-//               }
-//             }
-//           }
-//         }
-//       }
-//     `;
-
-//     // ✅ Storefront API Call
-//     const storefrontRes = await request(SHOPIFY_ENDPOINT, query, {}, HEADERS);
-
-//     // ✅ Filter collections by title or handle
-//     const matchingCollections = storefrontRes.collections.edges.filter(({ node }) => {
-//       const lowerTitle = node.title.toLowerCase();
-//       const lowerHandle = node.handle.toLowerCase();
-//       return TARGET_COLLECTIONS.some(
-//         (target) => lowerTitle.includes(target) || lowerHandle.includes(target)
-//       );
-//     });
-
-//     // ✅ Gather product GIDs from filtered collections
-//     const allProducts = [];
-//     for (const collectionEdge of matchingCollections) {
-//       const products = collectionEdge.node.products.edges.map((p) => p.node);
-//       allProducts.push(...products);
-//     }
-
-//     const productGIDs = allProducts.map((p) => p.id);
-
-//     // ✅ Admin API Call to get product statuses
-//     const adminQuery = {
-//       query: `
-//         {
-//           nodes(ids: [${productGIDs.map((id) => `"${id}"`).join(",")}]) {
-//             ... on Product {
-//               id
-//               status
-//             }
-//           }
-//         }
-//       `,
-//     };
-
-//     const adminRes = await axios.post(ADMIN_API, adminQuery, { headers: ADMIN_HEADERS });
-
-//     const statusMap = {};
-//     for (const product of adminRes.data.data.nodes) {
-//       if (product) statusMap[product.id] = product.status;
-//     }
-
-//     // ✅ Construct final response with only ACTIVE products
-//     const finalCollections = matchingCollections.map(({ node: collection }) => {
-//       const filteredProducts = collection.products.edges
-//         .map((p) => p.node)
-//         .filter((p) => statusMap[p.id] === "ACTIVE")
-//         .map((p) => ({
-//           id: p.id,
-//           title: p.title,
-//           handle: p.handle,
-//           createdAt: p.createdAt,
-//           description: p.description,
-//           image: p.images?.edges?.[0]?.node?.url || null,
-//           salePrice: p.variants?.edges?.[0]?.node?.price?.amount || null,
-//           comparePrice: p.variants?.edges?.[0]?.node?.compareAtPrice?.amount || null,
-//           moneyPrice: p.metafield?.value || null,
-//         }));
-
-//       return {
-//         id: collection.id,
-//         title: collection.title,
-//         handle: collection.handle,
-//         updatedAt: collection.updatedAt,
-//         products: filteredProducts,
-//       };
-//     });
-
-//     res.json(finalCollections);
-//   } catch (err) {
-//     console.error("Error fetching collections:", err?.response?.data || err.message || err);
-//     res.status(500).json({ error: "Failed to fetch collections", details: err?.message || "Unknown error" });
-//   }
-// });
-
-// module.exports = router;
-
 // ---------------------------------------------
 // 4. Customer authentication
 // ---------------------------------------------
-router.post("/login", async (req, res) => {
-  const { email, password } = req.body;
-  const mutation = gql`
-    mutation Login($input: CustomerAccessTokenCreateInput!) {
-      customerAccessTokenCreate(input: $input) {
-        customerAccessToken {
-          accessToken
-          expiresAt
-        }
-        customerUserErrors {
-          field
-          message
+const LOGIN_SCHEMA = {
+  body: {
+    email: v.email({ required: true }),
+    password: v.string({ required: true }),
+    // Anonymous cart to merge into the customer's saved one (section 6b)
+    cartId: v.gid("Cart"),
+  },
+};
+
+router.post(
+  "/login",
+  rateLimit("login"),
+  validate(LOGIN_SCHEMA),
+  asyncHandler(async (req, res) => {
+    const { email, password, cartId } = req.body;
+    await rateLimiter.assertNotLocked(email);
+    const mutation = gql`
+      mutation Login($input: CustomerAccessTokenCreateInput!) {
+        customerAccessTokenCreate(input: $input) {
+          customerAccessToken {
+            accessToken
+            expiresAt
+          }
+          customerUserErrors {
+            code
+            field
+            message
+          }
         }
       }
+    `;
+    let data;
+    try {
+      data = await storefront(mutation, { input: { email, password } });
+    } catch (err) {
+      // Wrong credentials count towards the lockout, Shopify outages don't
+      if (err instanceof UnauthorizedError)
+        await rateLimiter.loginFailed(email);
+      throw err;
     }
-  `;
-  try {
-    const data = await storefront(mutation, { input: { email, password } });
-    res.json(data.customerAccessTokenCreate.customerAccessToken);
-  } catch (err) {
-    res
-      .status(400)
-      .json({ error: "Login failed", details: err.details || err.message });
-  }
-});
-
-router.post("/logout", async (req, res) => {
-  const token = req.headers["authorization"];
-  if (!token) return res.status(400).json({ error: "Missing token" });
-  const mutation = gql`
-    mutation Logout($token: String!) {
-      customerAccessTokenDelete(customerAccessToken: $token) {
-        deletedAccessToken
-        userErrors {
-          field
-          message
+    await rateLimiter.loginSucceeded(email);
+    const token = data.customerAccessTokenCreate.customerAccessToken;
+    if (!cartId) return res.json(token);
+    // The login itself succeeded – a failed merge leaves the cart as it was
+    let cart = null;
+    try {
+      cart = await mergeCart(req, cartId, token.accessToken);
+    } catch (err) {
+      currentLogger().warn("Cart merge on login failed", { err });
+    }
+    res.json({ ...token, cart });
+  })
+);
+
+router.post(
+  "/logout",
+  requireCustomer,
+  asyncHandler(async (req, res) => {
+    const token = req.customerAccessToken;
+    const mutation = gql`
+      mutation Logout($token: String!) {
+        customerAccessTokenDelete(customerAccessToken: $token) {
+          deletedAccessToken
+          userErrors {
+            field
+            message
+          }
         }
       }
-    }
-  `;
-  try {
+    `;
     await storefront(mutation, { token });
+    await forgetToken(token);
     res.json({ ok: true });
-  } catch (err) {
-    res
-      .status(400)
-      .json({ error: "Logout failed", details: err.details || err.message });
-  }
-});
+  })
+);
+
+// Exchange a still‑valid token for a fresh one before `expiresAt`
+router.post(
+  "/token/renew",
+  asyncHandler(async (req, res) => {
+    const token = bearerToken(req);
+    if (!token) throw new UnauthorizedError("Missing customer access token");
+    const mutation = gql`
+      mutation Renew($token: String!) {
+        customerAccessTokenRenew(customerAccessToken: $token) {
+          customerAccessToken {
+            accessToken
+            expiresAt
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `;
+    // Shopify reports unknown/expired tokens as a userError without a code
+    const invalid = (details) =>
+      new UnauthorizedError(
+        "Invalid or expired customer access token",
+        details
+      );
+    let data;
+    try {
+      data = await storefront(mutation, { token });
+    } catch (err) {
+      throw err instanceof UserError ? invalid(err.details) : err;
+    }
+    const renewed = data.customerAccessTokenRenew.customerAccessToken;
+    if (!renewed) throw invalid();
+    await forgetToken(token);
+    res.json(renewed);
+  })
+);
 
 // ---------------------------------------------
-// 5. Customer orders (requires Bearer token)
-//    GET /orders
-// ---------------------------------------------
-router.get("/orders", async (req, res) => {
-  const token = req.headers["authorization"];
-  if (!token)
-    return res.status(401).json({ error: "Missing customer access token" });
-  const query = gql`
-    query Orders($token: String!) {
-      customer(customerAccessToken: $token) {
-        orders(first: 20, sortKey: PROCESSED_AT, reverse: true) {
-          pageInfo {
-            hasNextPage
-            endCursor
-          }
-          edges {
-            cursor
-            node {
-              name
-              orderNumber
-              processedAt
-              totalPrice {
-                amount
+// 4b. Customer account management
+//    POST   /register
+//    GET    /me                          (requires Bearer token)
+//    PATCH  /me
+//    GET    /me/addresses
+//    POST   /me/addresses
+//    PATCH  /me/addresses/:addressId     (URL‑encoded MailingAddress GID)
+//    DELETE /me/addresses/:addressId
+//    POST   /me/addresses/:addressId/default
+//    POST   /password/recover
+//    POST   /password/reset
+//    POST   /activate
+// ---------------------------------------------
+const CUSTOMER_FIELDS =
+  "id firstName lastName displayName email phone acceptsMarketing createdAt";
+const ADDRESS_FIELDS =
+  "id firstName lastName company address1 address2 city province provinceCode country countryCodeV2 zip phone formatted";
+const CUSTOMER_USER_ERRORS = "customerUserErrors { code field message }";
+
+const NAME = v.string({ maxLength: 255 });
+const PHONE = v.string({
+  pattern: /^\+[1-9]\d{1,14}$/,
+  patternMessage: "must be an E.164 phone number (e.g. +14155550123)",
+});
+const PASSWORD_RULES = { minLength: 5, maxLength: 40 };
+const PASSWORD = v.string(PASSWORD_RULES);
+const PASSWORD_REQUIRED = v.string({ ...PASSWORD_RULES, required: true });
+const CUSTOMER_BODY = {
+  email: v.email(),
+  password: PASSWORD,
+  firstName: NAME,
+  lastName: NAME,
+  phone: PHONE,
+  acceptsMarketing: v.boolean(),
+};
+const REGISTER_SCHEMA = {
+  body: {
+    ...CUSTOMER_BODY,
+    email: v.email({ required: true }),
+    password: PASSWORD_REQUIRED,
+  },
+};
+const ADDRESS_ID = { addressId: v.gid("MailingAddress", { required: true }) };
+const ADDRESS_BODY = {
+  firstName: NAME,
+  lastName: NAME,
+  company: NAME,
+  address1: NAME,
+  address2: NAME,
+  city: NAME,
+  province: NAME,
+  country: NAME,
+  zip: v.string({ maxLength: 20 }),
+  phone: PHONE,
+  isDefault: v.boolean(),
+};
+
+/** Either `<kind>Url` or the customer `id` + `<kind>Token` pair is needed. */
+const urlOrToken = (kind) => ({
+  body: {
+    [`${kind}Url`]: v.string({
+      pattern: /^https:\/\//,
+      patternMessage: "must be an https URL",
+    }),
+    id: v.gid("Customer"),
+    [`${kind}Token`]: v.string({ maxLength: 255 }),
+    password: PASSWORD_REQUIRED,
+  },
+  refine: ({ body }) =>
+    body[`${kind}Url`] || (body.id && body[`${kind}Token`])
+      ? []
+      : [
+          {
+            field: `${kind}Url`,
+            location: "body",
+            message: `is required unless id and ${kind}Token are given`,
+          },
+        ],
+});
+
+router.post(
+  "/register",
+  rateLimit("register"),
+  validate(REGISTER_SCHEMA),
+  asyncHandler(async (req, res) => {
+    const { email, password, firstName, lastName, phone, acceptsMarketing } =
+      req.body;
+    const mutation = gql`
+      mutation Register($input: CustomerCreateInput!) {
+        customerCreate(input: $input) {
+          customer { ${CUSTOMER_FIELDS} }
+          ${CUSTOMER_USER_ERRORS}
+        }
+      }
+    `;
+    const data = await storefront(mutation, {
+      input: { email, password, firstName, lastName, phone, acceptsMarketing },
+    });
+    res.status(201).json(data.customerCreate.customer);
+  })
+);
+
+router.get(
+  "/me",
+  requireCustomer,
+  asyncHandler(async (req, res) => {
+    const token = req.customerAccessToken;
+    const query = gql`
+      query Me($token: String!) {
+        customer(customerAccessToken: $token) {
+          ${CUSTOMER_FIELDS}
+          defaultAddress { ${ADDRESS_FIELDS} }
+          addresses(first: 50) { edges { node { ${ADDRESS_FIELDS} } } }
+        }
+      }
+    `;
+    const data = await storefront(query, { token });
+    if (!data.customer) throw new NotFoundError("Customer not found");
+    const { addresses, ...customer } = data.customer;
+    res.json({ ...customer, addresses: addresses.edges.map((e) => e.node) });
+  })
+);
+
+router.patch(
+  "/me",
+  requireCustomer,
+  validate({ body: CUSTOMER_BODY }),
+  asyncHandler(async (req, res) => {
+    const token = req.customerAccessToken;
+    const { email, password, firstName, lastName, phone, acceptsMarketing } =
+      req.body;
+    const mutation = gql`
+      mutation UpdateMe($token: String!, $customer: CustomerUpdateInput!) {
+        customerUpdate(customerAccessToken: $token, customer: $customer) {
+          customer { ${CUSTOMER_FIELDS} }
+          customerAccessToken { accessToken expiresAt }
+          ${CUSTOMER_USER_ERRORS}
+        }
+      }
+    `;
+    const data = await storefront(mutation, {
+      token,
+      customer: {
+        email,
+        password,
+        firstName,
+        lastName,
+        phone,
+        acceptsMarketing,
+      },
+    });
+    const { customer, customerAccessToken } = data.customerUpdate;
+    // A password change revokes the old token – hand back the new one and
+    // stop trusting the cached session (it holds the old name either way)
+    await forgetToken(token);
+    res.json({ ...customer, customerAccessToken });
+  })
+);
+
+router.get(
+  "/me/addresses",
+  requireCustomer,
+  asyncHandler(async (req, res) => {
+    const token = req.customerAccessToken;
+    const query = gql`
+      query Addresses($token: String!) {
+        customer(customerAccessToken: $token) {
+          defaultAddress { id }
+          addresses(first: 50) { edges { node { ${ADDRESS_FIELDS} } } }
+        }
+      }
+    `;
+    const data = await storefront(query, { token });
+    if (!data.customer) throw new NotFoundError("Customer not found");
+    const defaultId = data.customer.defaultAddress?.id;
+    res.json(
+      data.customer.addresses.edges.map((e) => ({
+        ...e.node,
+        isDefault: e.node.id === defaultId,
+      }))
+    );
+  })
+);
+
+router.post(
+  "/me/addresses",
+  requireCustomer,
+  validate({ body: ADDRESS_BODY }),
+  asyncHandler(async (req, res) => {
+    const token = req.customerAccessToken;
+    const { isDefault, ...address } = req.body;
+    const mutation = gql`
+      mutation AddressCreate($token: String!, $address: MailingAddressInput!) {
+        customerAddressCreate(customerAccessToken: $token, address: $address) {
+          customerAddress { ${ADDRESS_FIELDS} }
+          ${CUSTOMER_USER_ERRORS}
+        }
+      }
+    `;
+    const data = await storefront(mutation, { token, address });
+    const created = data.customerAddressCreate.customerAddress;
+    if (isDefault) await setDefaultAddress(token, created.id);
+    res.status(201).json({ ...created, isDefault: Boolean(isDefault) });
+  })
+);
+
+router.patch(
+  "/me/addresses/:addressId",
+  requireCustomer,
+  validate({ params: ADDRESS_ID, body: ADDRESS_BODY }),
+  asyncHandler(async (req, res) => {
+    const token = req.customerAccessToken;
+    const { isDefault, ...address } = req.body;
+    const mutation = gql`
+      mutation AddressUpdate($token: String!, $id: ID!, $address: MailingAddressInput!) {
+        customerAddressUpdate(customerAccessToken: $token, id: $id, address: $address) {
+          customerAddress { ${ADDRESS_FIELDS} }
+          ${CUSTOMER_USER_ERRORS}
+        }
+      }
+    `;
+    const data = await storefront(mutation, {
+      token,
+      id: req.params.addressId,
+      address,
+    });
+    const updated = data.customerAddressUpdate.customerAddress;
+    if (isDefault) await setDefaultAddress(token, updated.id);
+    res.json(isDefault ? { ...updated, isDefault: true } : updated);
+  })
+);
+
+router.delete(
+  "/me/addresses/:addressId",
+  requireCustomer,
+  validate({ params: ADDRESS_ID }),
+  asyncHandler(async (req, res) => {
+    const token = req.customerAccessToken;
+    const mutation = gql`
+      mutation AddressDelete($token: String!, $id: ID!) {
+        customerAddressDelete(customerAccessToken: $token, id: $id) {
+          deletedCustomerAddressId
+          ${CUSTOMER_USER_ERRORS}
+        }
+      }
+    `;
+    const data = await storefront(mutation, {
+      token,
+      id: req.params.addressId,
+    });
+    res.json({
+      deletedId: data.customerAddressDelete.deletedCustomerAddressId,
+    });
+  })
+);
+
+async function setDefaultAddress(token, addressId) {
+  const mutation = gql`
+    mutation DefaultAddress($token: String!, $addressId: ID!) {
+      customerDefaultAddressUpdate(customerAccessToken: $token, addressId: $addressId) {
+        customer { defaultAddress { ${ADDRESS_FIELDS} } }
+        ${CUSTOMER_USER_ERRORS}
+      }
+    }
+  `;
+  const data = await storefront(mutation, { token, addressId });
+  return data.customerDefaultAddressUpdate.customer.defaultAddress;
+}
+
+router.post(
+  "/me/addresses/:addressId/default",
+  requireCustomer,
+  validate({ params: ADDRESS_ID }),
+  asyncHandler(async (req, res) => {
+    const token = req.customerAccessToken;
+    const address = await setDefaultAddress(token, req.params.addressId);
+    res.json({ ...address, isDefault: true });
+  })
+);
+
+router.post(
+  "/password/recover",
+  rateLimit("recover"),
+  validate({ body: { email: v.email({ required: true }) } }),
+  asyncHandler(async (req, res) => {
+    const mutation = gql`
+      mutation Recover($email: String!) {
+        customerRecover(email: $email) {
+          ${CUSTOMER_USER_ERRORS}
+        }
+      }
+    `;
+    await storefront(mutation, { email: req.body.email });
+    res.json({ ok: true });
+  })
+);
+
+// Accepts either the reset URL from the email (`resetUrl`) or the customer
+// GID + token pair (`id`, `resetToken`)
+router.post(
+  "/password/reset",
+  rateLimit("reset"),
+  validate(urlOrToken("reset")),
+  asyncHandler(async (req, res) => {
+    const { resetUrl, id, resetToken, password } = req.body;
+    const mutation = resetUrl
+      ? gql`
+        mutation ResetByUrl($resetUrl: URL!, $password: String!) {
+          customerReset: customerResetByUrl(resetUrl: $resetUrl, password: $password) {
+            customer { ${CUSTOMER_FIELDS} }
+            customerAccessToken { accessToken expiresAt }
+            ${CUSTOMER_USER_ERRORS}
+          }
+        }
+      `
+      : gql`
+        mutation Reset($id: ID!, $input: CustomerResetInput!) {
+          customerReset(id: $id, input: $input) {
+            customer { ${CUSTOMER_FIELDS} }
+            customerAccessToken { accessToken expiresAt }
+            ${CUSTOMER_USER_ERRORS}
+          }
+        }
+      `;
+    const vars = resetUrl
+      ? { resetUrl, password }
+      : { id, input: { resetToken, password } };
+    const data = await storefront(mutation, vars);
+    const { customer, customerAccessToken } = data.customerReset;
+    res.json({ customer, customerAccessToken });
+  })
+);
+
+// Accepts either the activation URL from the invite email (`activationUrl`)
+// or the customer GID + token pair (`id`, `activationToken`)
+router.post(
+  "/activate",
+  rateLimit("reset"),
+  validate(urlOrToken("activation")),
+  asyncHandler(async (req, res) => {
+    const { activationUrl, id, activationToken, password } = req.body;
+    const mutation = activationUrl
+      ? gql`
+        mutation ActivateByUrl($activationUrl: URL!, $password: String!) {
+          customerActivate: customerActivateByUrl(activationUrl: $activationUrl, password: $password) {
+            customer { ${CUSTOMER_FIELDS} }
+            customerAccessToken { accessToken expiresAt }
+            ${CUSTOMER_USER_ERRORS}
+          }
+        }
+      `
+      : gql`
+        mutation Activate($id: ID!, $input: CustomerActivateInput!) {
+          customerActivate(id: $id, input: $input) {
+            customer { ${CUSTOMER_FIELDS} }
+            customerAccessToken { accessToken expiresAt }
+            ${CUSTOMER_USER_ERRORS}
+          }
+        }
+      `;
+    const vars = activationUrl
+      ? { activationUrl, password }
+      : { id, input: { activationToken, password } };
+    const data = await storefront(mutation, vars);
+    const { customer, customerAccessToken } = data.customerActivate;
+    res.json({ customer, customerAccessToken });
+  })
+);
+
+// ---------------------------------------------
+// 5. Customer orders (requires Bearer token)
+//    GET /orders?first=20&after=CURSOR
+//    GET /orders?last=20&before=CURSOR
+//    Filters: from, to (ISO dates, processed_at),
+//             fulfillmentStatus (e.g. FULFILLED, UNFULFILLED)
+//    GET /orders/:id  (numeric ID or URL‑encoded Order GID)
+// ---------------------------------------------
+const FULFILLMENT_STATUSES = [
+  "FULFILLED",
+  "IN_PROGRESS",
+  "ON_HOLD",
+  "OPEN",
+  "PARTIALLY_FULFILLED",
+  "PENDING_FULFILLMENT",
+  "RESTOCKED",
+  "SCHEDULED",
+  "UNFULFILLED",
+];
+const ORDERS_SCHEMA = {
+  query: {
+    ...PAGINATION,
+    from: v.date(),
+    to: v.date(),
+    fulfillmentStatus: v.string({
+      pattern: new RegExp(`^(${FULFILLMENT_STATUSES.join("|")})$`, "i"),
+      patternMessage: `must be one of: ${FULFILLMENT_STATUSES.join(", ")}`,
+    }),
+  },
+};
+const ORDER_ID = v.string({
+  required: true,
+  pattern: /^(\d+|gid:\/\/shopify\/Order\/\d+(\?\S*)?)$/,
+  patternMessage: "must be a numeric order ID or Order GID",
+});
+
+router.get(
+  "/orders",
+  requireCustomer,
+  validate(ORDERS_SCHEMA),
+  asyncHandler(async (req, res) => {
+    const token = req.customerAccessToken;
+    const {
+      first = 20,
+      last,
+      after,
+      before,
+      from,
+      to,
+      fulfillmentStatus,
+    } = req.query;
+    const query = gql`
+      query Orders($token: String!, $first: Int, $last: Int, $after: String, $before: String, $query: String) {
+        customer(customerAccessToken: $token) {
+          orders(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: PROCESSED_AT, reverse: true) {
+            pageInfo {
+              hasNextPage
+              hasPreviousPage
+              startCursor
+              endCursor
+            }
+            edges {
+              cursor
+              node {
+                id
+                name
+                orderNumber
+                processedAt
+                financialStatus
+                fulfillmentStatus
+                statusUrl
+                totalPrice ${MONEY}
+                lineItems(first: 50) {
+                  edges {
+                    node {
+                      title
+                      quantity
+                    }
+                  }
+                }
               }
-              lineItems(first: 50) {
+            }
+          }
+        }
+      }
+    `;
+    const dateRange = [
+      from && `processed_at:>=${from}`,
+      to && `processed_at:<=${to}`,
+    ].filter(Boolean);
+    const data = await storefront(query, {
+      token,
+      first: last ? undefined : Number(first),
+      last: last ? Number(last) : undefined,
+      after,
+      before,
+      query: dateRange.length ? dateRange.join(" AND ") : undefined,
+    });
+    const ordersEdge = data.customer?.orders;
+    if (!ordersEdge) throw new NotFoundError("Customer not found");
+    // The Storefront orders connection can't filter by fulfillment status, so
+    // it is applied per page – pages may come back shorter than `first`
+    const wanted = fulfillmentStatus && String(fulfillmentStatus).toUpperCase();
+    res.json({
+      pageInfo: ordersEdge.pageInfo,
+      orders: ordersEdge.edges
+        .filter((e) => !wanted || e.node.fulfillmentStatus === wanted)
+        .map((e) => ({ ...e.node, cursor: e.cursor })),
+    });
+  })
+);
+
+router.get(
+  "/orders/:id",
+  requireCustomer,
+  validate({ params: { id: ORDER_ID } }),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const orderId = /^\d+$/.test(id) ? `gid://shopify/Order/${id}` : id;
+    const query = gql`
+      query OrderDetail($id: ID!) {
+        node(id: $id) {
+          ... on Order {
+            id
+            name
+            orderNumber
+            email
+            processedAt
+            canceledAt
+            cancelReason
+            financialStatus
+            fulfillmentStatus
+            statusUrl
+            currencyCode
+            subtotalPrice ${MONEY}
+            totalTax ${MONEY}
+            totalShippingPrice ${MONEY}
+            totalRefunded ${MONEY}
+            totalPrice ${MONEY}
+            discountApplications(first: 10) {
+              edges {
+                node {
+                  allocationMethod
+                  targetType
+                  value {
+                    ... on MoneyV2 ${MONEY}
+                    ... on PricingPercentageValue { percentage }
+                  }
+                  ... on DiscountCodeApplication { code }
+                  ... on ManualDiscountApplication { title }
+                  ... on AutomaticDiscountApplication { title }
+                  ... on ScriptDiscountApplication { title }
+                }
+              }
+            }
+            shippingAddress { ${ADDRESS_FIELDS} }
+            successfulFulfillments(first: 20) {
+              trackingCompany
+              trackingInfo(first: 10) {
+                number
+                url
+              }
+              fulfillmentLineItems(first: 100) {
                 edges {
                   node {
-                    title
                     quantity
+                    lineItem { title variant { id } }
+                  }
+                }
+              }
+            }
+            lineItems(first: 100) {
+              edges {
+                node {
+                  title
+                  quantity
+                  currentQuantity
+                  originalTotalPrice ${MONEY}
+                  discountedTotalPrice ${MONEY}
+                  discountAllocations {
+                    allocatedAmount ${MONEY}
+                  }
+                  variant {
+                    id
+                    title
+                    sku
+                    price ${MONEY}
+                    image { url altText }
+                    product { handle }
                   }
                 }
               }
@@ -875,97 +1846,1079 @@ router.get("/orders", async (req, res) => {
           }
         }
       }
-    }
-  `;
-  try {
-    const data = await storefront(query, { token });
-    const ordersEdge = data.customer?.orders;
-    if (!ordersEdge)
-      return res.status(404).json({ error: "Customer not found" });
+    `;
+    const data = await storefront(query, { id: orderId });
+    const order = data.node;
+    // `node` isn't scoped to the customer – only expose their own orders
+    const sameEmail = (a, b) => a && b && a.toLowerCase() === b.toLowerCase();
+    if (!order?.id || !sameEmail(order.email, req.customer.email))
+      throw new NotFoundError("Order not found");
+    const { lineItems, discountApplications, successfulFulfillments, ...rest } =
+      order;
     res.json({
-      pageInfo: ordersEdge.pageInfo,
-      orders: ordersEdge.edges.map((e) => ({ ...e.node, cursor: e.cursor })),
-    });
-  } catch (err) {
-    res.status(500).json({
-      error: "Failed to fetch orders",
-      details: err.details || err.message,
+      ...rest,
+      discounts: discountApplications.edges.map((e) => e.node),
+      fulfillments: (successfulFulfillments || []).map((f) => ({
+        trackingCompany: f.trackingCompany,
+        tracking: f.trackingInfo,
+        lineItems: f.fulfillmentLineItems.edges.map((e) => e.node),
+      })),
+      lineItems: lineItems.edges.map((e) => e.node),
     });
-  }
-});
+  })
+);
 
 // ---------------------------------------------
-// 6. Cart – create / addLines / removeLines / updateLines
+// 6. Cart
 //    POST /cart (create)
+//    GET  /cart/:id
 //    POST /cart/:id/add
 //    POST /cart/:id/update
 //    POST /cart/:id/remove
+//    POST /cart/:id/buyer-identity   { email, phone, countryCode }
+//    POST /cart/:id/discount-codes   { discountCodes: ["CODE"] }
+//    POST /cart/:id/note             { note }
+//    POST /cart/:id/attributes       { attributes: [{ key, value }] }
+//    Cart IDs contain slashes – URL‑encode them in the path.
+//    A Bearer token on create / buyer-identity links the cart to the
+//    logged‑in customer and makes it their saved cart (section 6b).
 // ---------------------------------------------
-router.post("/cart", async (req, res) => {
-  const mutation = gql`
-    mutation CartCreate($lines: [CartLineInput!]){
-      cartCreate(input:{lines:$lines}){cart{id checkoutUrl lines(first:50){edges{node{id quantity merchandise{id ... on ProductVariant { title price { amount } }}}}} userErrors{field message}}
+const CART_FIELDS = `
+  id checkoutUrl totalQuantity note createdAt updatedAt
+  attributes { key value }
+  buyerIdentity { email phone countryCode customer { id email } }
+  discountCodes { code applicable }
+  discountAllocations { discountedAmount ${MONEY} }
+  cost {
+    subtotalAmount ${MONEY}
+    totalTaxAmount ${MONEY}
+    totalDutyAmount ${MONEY}
+    totalAmount ${MONEY}
+    checkoutChargeAmount ${MONEY}
+  }
+  lines(first:50){edges{node{
+    id quantity
+    attributes { key value }
+    cost {
+      amountPerQuantity ${MONEY}
+      compareAtAmountPerQuantity ${MONEY}
+      subtotalAmount ${MONEY}
+      totalAmount ${MONEY}
     }
-  `;
-  try {
-    const data = await storefront(mutation, { lines: req.body.lines || [] });
-    res.json(data.cartCreate.cart);
-  } catch (err) {
-    res.status(400).json({
-      error: "Cart creation failed",
-      details: err.details || err.message,
-    });
+    discountAllocations { discountedAmount ${MONEY} }
+    merchandise{id ... on ProductVariant { title price ${MONEY} }}
+  }}}
+`;
+
+const CART_ID = { id: v.gid("Cart", { required: true }) };
+// Lines, attributes and buyer identities go to Shopify as they are: strict
+const ATTRIBUTE = v.object(
+  {
+    key: v.string({ required: true, maxLength: 255 }),
+    value: v.string({ maxLength: 5000 }),
+  },
+  { strict: true }
+);
+const ATTRIBUTES = v.list(ATTRIBUTE, { maxItems: 250 });
+const CART_LINE = v.object(
+  {
+    merchandiseId: v.gid("ProductVariant", { required: true }),
+    quantity: v.int({ min: 1, max: 10000 }),
+    sellingPlanId: v.gid("SellingPlan"),
+    attributes: ATTRIBUTES,
+  },
+  { strict: true }
+);
+const CART_LINE_UPDATE = v.object(
+  {
+    id: v.gid("CartLine", { required: true }),
+    quantity: v.int({ min: 0, max: 10000 }),
+    merchandiseId: v.gid("ProductVariant"),
+    sellingPlanId: v.gid("SellingPlan"),
+    attributes: ATTRIBUTES,
+  },
+  { strict: true }
+);
+const BUYER_IDENTITY = {
+  email: v.email(),
+  phone: PHONE,
+  countryCode: v.string({
+    pattern: /^[A-Z]{2}$/,
+    patternMessage: "must be an ISO 3166‑1 alpha‑2 country code",
+  }),
+};
+const DISCOUNT_CODE = v.string({ maxLength: 255 });
+const NOTE = v.string({ maxLength: 5000 });
+const CART_SCHEMAS = {
+  create: {
+    body: {
+      lines: v.list(CART_LINE, { maxItems: 250 }),
+      note: NOTE,
+      attributes: ATTRIBUTES,
+      discountCodes: v.list(DISCOUNT_CODE, { maxItems: 250 }),
+      buyerIdentity: v.object(BUYER_IDENTITY, { strict: true }),
+    },
+  },
+  get: { params: CART_ID },
+  add: {
+    params: CART_ID,
+    body: {
+      lines: v.list(CART_LINE, { required: true, minItems: 1, maxItems: 250 }),
+    },
+  },
+  update: {
+    params: CART_ID,
+    body: {
+      lines: v.list(CART_LINE_UPDATE, {
+        required: true,
+        minItems: 1,
+        maxItems: 250,
+      }),
+    },
+  },
+  remove: {
+    params: CART_ID,
+    body: {
+      lineIds: v.list(v.gid("CartLine"), {
+        required: true,
+        minItems: 1,
+        maxItems: 250,
+      }),
+    },
+  },
+  buyerIdentity: { params: CART_ID, body: BUYER_IDENTITY },
+  discountCodes: {
+    params: CART_ID,
+    body: {
+      discountCodes: v.list(DISCOUNT_CODE, { required: true, maxItems: 250 }),
+    },
+  },
+  note: { params: CART_ID, body: { note: NOTE } },
+  attributes: {
+    params: CART_ID,
+    body: {
+      attributes: v.list(ATTRIBUTE, { required: true, maxItems: 250 }),
+    },
+  },
+};
+
+/**
+ * Buyer identity from the request body, linked to the Bearer customer and
+ * defaulting to the request's country.
+ */
+function cartBuyerIdentity(req, identity = {}) {
+  const token = bearerToken(req);
+  const buyerIdentity = { ...identity };
+  if (token) buyerIdentity.customerAccessToken = token;
+  // The buyer's country decides the cart currency
+  const { country } = currentLocale();
+  if (country && !buyerIdentity.countryCode)
+    buyerIdentity.countryCode = country;
+  return Object.keys(buyerIdentity).length ? buyerIdentity : undefined;
+}
+
+const CART_QUERY = gql`
+  query Cart($cartId: ID!) {
+    cart(id: $cartId) { ${CART_FIELDS} }
   }
-});
+`;
 
-const cartMutation = (field) => gql`
-  mutation Cart${field}($cartId: ID!, $lines: [CartLineInput!]!, $lineIds: [ID!]){
-    cart${field}(cartId:$cartId, lines:$lines, lineIds:$lineIds){cart{id checkoutUrl lines(first:50){edges{node{id quantity merchandise{id ... on ProductVariant { title price{amount} }}}}} userErrors{field message}}}
+const CART_CREATE_MUTATION = gql`
+  mutation CartCreate($input: CartInput!){
+    cartCreate(input:$input){cart{${CART_FIELDS}} userErrors{field message}}
+  }
 `;
 
-router.post("/cart/:id/add", async (req, res) => {
-  try {
+/** The cart behind `cartId`, or null once it expired or was checked out. */
+async function findCart(cartId) {
+  const data = await storefront(CART_QUERY, { cartId });
+  return data.cart;
+}
+
+async function createCart(input) {
+  const data = await storefront(CART_CREATE_MUTATION, { input });
+  return data.cartCreate.cart;
+}
+
+/** Save `cart` as the Bearer customer's active cart (section 6b). */
+async function rememberCart(req, cart) {
+  const token = bearerToken(req);
+  const customer = token && (await lookupCustomer(token));
+  if (customer) await savedCarts.set(customer.id, cart.id);
+}
+
+router.post(
+  "/cart",
+  rateLimit("cart"),
+  validate(CART_SCHEMAS.create),
+  asyncHandler(async (req, res) => {
+    const {
+      lines = [],
+      note,
+      attributes,
+      discountCodes,
+      buyerIdentity,
+    } = req.body;
+    const cart = await createCart({
+      lines,
+      note,
+      attributes,
+      discountCodes,
+      buyerIdentity: cartBuyerIdentity(req, buyerIdentity),
+    });
+    await rememberCart(req, cart);
+    res.json(cart);
+  })
+);
+
+router.get(
+  "/cart/:id",
+  validate(CART_SCHEMAS.get),
+  asyncHandler(async (req, res) => {
+    const cart = await findCart(req.params.id);
+    if (!cart) throw new NotFoundError("Cart not found");
+    res.json(cart);
+  })
+);
+
+// Variables each cart mutation takes besides `$cartId`
+const CART_MUTATION_ARGS = {
+  LinesAdd: { lines: "[CartLineInput!]!" },
+  LinesUpdate: { lines: "[CartLineUpdateInput!]!" },
+  LinesRemove: { lineIds: "[ID!]!" },
+  BuyerIdentityUpdate: { buyerIdentity: "CartBuyerIdentityInput!" },
+  DiscountCodesUpdate: { discountCodes: "[String!]" },
+  NoteUpdate: { note: "String" },
+  AttributesUpdate: { attributes: "[AttributeInput!]!" },
+};
+
+const cartMutation = (field) => {
+  const args = Object.entries(CART_MUTATION_ARGS[field]);
+  const varDefs = args.map(([name, type]) => `, $${name}: ${type}`).join("");
+  const callArgs = args.map(([name]) => `, ${name}:$${name}`).join("");
+  return gql`
+    mutation Cart${field}($cartId: ID!${varDefs}){
+      cart${field}(cartId:$cartId${callArgs}){cart{${CART_FIELDS}} userErrors{field message}}}
+  `;
+};
+
+router.post(
+  "/cart/:id/add",
+  rateLimit("cart"),
+  validate(CART_SCHEMAS.add),
+  asyncHandler(async (req, res) => {
     const data = await storefront(cartMutation("LinesAdd"), {
       cartId: req.params.id,
       lines: req.body.lines,
     });
     res.json(data.cartLinesAdd.cart);
-  } catch (err) {
-    res.status(400).json({
-      error: "Add to cart failed",
-      details: err.details || err.message,
-    });
-  }
-});
-
-router.post("/cart/:id/update", async (req, res) => {
-  try {
+  })
+);
+
+router.post(
+  "/cart/:id/update",
+  rateLimit("cart"),
+  validate(CART_SCHEMAS.update),
+  asyncHandler(async (req, res) => {
     const data = await storefront(cartMutation("LinesUpdate"), {
       cartId: req.params.id,
       lines: req.body.lines,
     });
     res.json(data.cartLinesUpdate.cart);
-  } catch (err) {
-    res.status(400).json({
-      error: "Update cart failed",
-      details: err.details || err.message,
+  })
+);
+
+router.post(
+  "/cart/:id/remove",
+  rateLimit("cart"),
+  validate(CART_SCHEMAS.remove),
+  asyncHandler(async (req, res) => {
+    const data = await storefront(cartMutation("LinesRemove"), {
+      cartId: req.params.id,
+      lineIds: req.body.lineIds,
+    });
+    res.json(data.cartLinesRemove.cart);
+  })
+);
+
+router.post(
+  "/cart/:id/buyer-identity",
+  rateLimit("cart"),
+  validate(CART_SCHEMAS.buyerIdentity),
+  asyncHandler(async (req, res) => {
+    const { email, phone, countryCode } = req.body;
+    const data = await storefront(cartMutation("BuyerIdentityUpdate"), {
+      cartId: req.params.id,
+      buyerIdentity:
+        cartBuyerIdentity(req, { email, phone, countryCode }) || {},
+    });
+    await rememberCart(req, data.cartBuyerIdentityUpdate.cart);
+    res.json(data.cartBuyerIdentityUpdate.cart);
+  })
+);
+
+router.post(
+  "/cart/:id/discount-codes",
+  rateLimit("cart"),
+  validate(CART_SCHEMAS.discountCodes),
+  asyncHandler(async (req, res) => {
+    const data = await storefront(cartMutation("DiscountCodesUpdate"), {
+      cartId: req.params.id,
+      discountCodes: req.body.discountCodes || [],
     });
+    res.json(data.cartDiscountCodesUpdate.cart);
+  })
+);
+
+router.post(
+  "/cart/:id/note",
+  rateLimit("cart"),
+  validate(CART_SCHEMAS.note),
+  asyncHandler(async (req, res) => {
+    const data = await storefront(cartMutation("NoteUpdate"), {
+      cartId: req.params.id,
+      note: req.body.note ?? "",
+    });
+    res.json(data.cartNoteUpdate.cart);
+  })
+);
+
+router.post(
+  "/cart/:id/attributes",
+  rateLimit("cart"),
+  validate(CART_SCHEMAS.attributes),
+  asyncHandler(async (req, res) => {
+    const data = await storefront(cartMutation("AttributesUpdate"), {
+      cartId: req.params.id,
+      attributes: req.body.attributes || [],
+    });
+    res.json(data.cartAttributesUpdate.cart);
+  })
+);
+
+// ---------------------------------------------
+// 6b. Customer cart (requires Bearer token)
+//    GET /me/cart – the customer's saved cart (lib/savedCarts.js), on any
+//                   device. A saved cart that expired or was checked out
+//                   is replaced by a fresh one.
+//    POST /login { cartId } moves that anonymous cart's lines into the
+//    saved cart, emptying it – or adopts it when there is none – and
+//    answers with the token plus `cart` (section 4).
+// ---------------------------------------------
+// Just what re-adding a line needs; carts hold at most 250 lines
+const CART_LINES_QUERY = gql`
+  query CartLines($cartId: ID!) {
+    cart(id: $cartId) {
+      id
+      lines(first: 250) {
+        nodes {
+          id
+          quantity
+          attributes {
+            key
+            value
+          }
+          merchandise {
+            ... on ProductVariant {
+              id
+            }
+          }
+          sellingPlanAllocation {
+            sellingPlan {
+              id
+            }
+          }
+        }
+      }
+    }
   }
+`;
+
+const toLineInput = (line) => ({
+  merchandiseId: line.merchandise.id,
+  quantity: line.quantity,
+  attributes: line.attributes,
+  ...(line.sellingPlanAllocation && {
+    sellingPlanId: line.sellingPlanAllocation.sellingPlan.id,
+  }),
 });
 
-router.post("/cart/:id/remove", async (req, res) => {
+/**
+ * The customer's saved cart – a fresh one, saved for next time, when it
+ * expired or was checked out.
+ */
+async function savedCart(customerId, buyerIdentity) {
+  const savedId = await savedCarts.get(customerId);
+  const cart = savedId && (await findCart(savedId));
+  if (cart) return cart;
+  const fresh = await createCart({ buyerIdentity });
+  await savedCarts.set(customerId, fresh.id);
+  return fresh;
+}
+
+/**
+ * Add the lines of the `anonymous` cart to the `saved` one, then empty
+ * it so logging in again with it doesn't add them twice. Lines Shopify
+ * rejects (e.g. a variant no longer sold) leave both carts as they were.
+ */
+async function moveLines(anonymous, saved) {
+  let cart;
   try {
-    const data = await storefront(cartMutation("LinesRemove"), {
-      cartId: req.params.id,
-      lineIds: req.body.lineIds,
+    // Same variant lines are combined by Shopify
+    const data = await storefront(cartMutation("LinesAdd"), {
+      cartId: saved.id,
+      lines: anonymous.lines.nodes.map(toLineInput),
     });
-    res.json(data.cartLinesRemove.cart);
+    cart = data.cartLinesAdd.cart;
   } catch (err) {
-    res.status(400).json({
-      error: "Remove from cart failed",
-      details: err.details || err.message,
+    if (!(err instanceof UserError)) throw err;
+    currentLogger().warn("Cart merge rejected", { err });
+  }
+  if (!cart) return saved;
+  await storefront(cartMutation("LinesRemove"), {
+    cartId: anonymous.id,
+    lineIds: anonymous.lines.nodes.map((line) => line.id),
+  });
+  return cart;
+}
+
+/**
+ * Merge the anonymous cart `cartId` into the saved cart of the customer
+ * behind `token`; resolves with the customer's cart.
+ */
+async function mergeCart(req, cartId, token) {
+  const customer = await lookupCustomer(token);
+  if (!customer) throw new UnauthorizedError("Invalid customer access token");
+  const buyerIdentity = cartBuyerIdentity(req, { customerAccessToken: token });
+  const savedId = await savedCarts.get(customer.id);
+  const saved = savedId && savedId !== cartId ? await findCart(savedId) : null;
+  const { cart: anonymous } = await storefront(CART_LINES_QUERY, { cartId });
+
+  let cart;
+  if (!saved && anonymous) {
+    // Adopt the anonymous cart, linking it to the customer
+    const data = await storefront(cartMutation("BuyerIdentityUpdate"), {
+      cartId,
+      buyerIdentity,
     });
+    cart = data.cartBuyerIdentityUpdate.cart;
+  } else if (!saved) {
+    cart = await createCart({ buyerIdentity });
+  } else if (anonymous?.lines.nodes.length) {
+    cart = await moveLines(anonymous, saved);
+  } else {
+    cart = saved;
   }
+  await savedCarts.set(customer.id, cart.id);
+  return cart;
+}
+
+router.get(
+  "/me/cart",
+  requireCustomer,
+  asyncHandler(async (req, res) => {
+    res.json(await savedCart(req.customer.id, cartBuyerIdentity(req)));
+  })
+);
+
+// ---------------------------------------------
+// 7. Localization
+//    GET /localization – countries (with currency & languages) and
+//    languages the store sells in, plus the ones resolved for this request
+// ---------------------------------------------
+const LANGUAGE_FIELDS = "isoCode name endonymName";
+const COUNTRY_FIELDS = `isoCode name currency { isoCode name symbol } availableLanguages { ${LANGUAGE_FIELDS} }`;
+
+router.get(
+  "/localization",
+  cacheControl(CACHE_POLICIES.localization),
+  asyncHandler(async (req, res) => {
+    const query = gql`
+      query Localization {
+        localization {
+          country { ${COUNTRY_FIELDS} }
+          language { ${LANGUAGE_FIELDS} }
+          availableCountries { ${COUNTRY_FIELDS} }
+          availableLanguages { ${LANGUAGE_FIELDS} }
+        }
+      }
+    `;
+    const data = await cachedStorefront(query, {}, CACHE_POLICIES.localization);
+    const { country, language, availableCountries, availableLanguages } =
+      data.localization;
+    const currencies = new Map(
+      availableCountries.map((c) => [c.currency.isoCode, c.currency])
+    );
+    res.json({
+      country,
+      language,
+      countries: availableCountries,
+      currencies: [...currencies.values()],
+      languages: availableLanguages,
+    });
+  })
+);
+
+// ---------------------------------------------
+// 8. Homepage composition
+//    GET /pages/home – every section of the store's declared layout
+//    (lib/layouts.js), fetched in parallel. Each section carries its own
+//    `status`; a failing one is reported as
+//      { id, type, status: "error", error: { code, message } }
+//    and the rest of the page is still served (`partial: true`).
+//    The page is cached as a unit – partial pages only briefly.
+// ---------------------------------------------
+const PARTIAL_TTL = 10;
+const MENU_ITEM_FIELDS = "id title url type resourceId";
+const MENU_QUERY = gql`
+  query Menu($handle: String!) {
+    shop { primaryDomain { host } }
+    menu(handle: $handle) {
+      id
+      handle
+      title
+      items {
+        ${MENU_ITEM_FIELDS}
+        items {
+          ${MENU_ITEM_FIELDS}
+          items { ${MENU_ITEM_FIELDS} }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Resolve a menu item URL: links into the shop (any type but HTTP, or an
+ * HTTP link to one of its domains) become paths such as
+ * "/collections/all"; other links are kept and flagged `external`.
+ */
+function menuUrl(url, type, shopHosts) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { url, external: false }; // already relative (or empty)
+  }
+  if (type === "HTTP" && !shopHosts.includes(parsed.hostname))
+    return { url, external: true };
+  return {
+    url: `${parsed.pathname}${parsed.search}${parsed.hash}`,
+    external: false,
+  };
+}
+
+/**
+ * Normalise a MENU_QUERY response into `{ id, handle, title, items }` with
+ * nested `items` and internal URLs; null when the menu doesn't exist.
+ */
+function toMenu({ shop, menu }, store = currentStore()) {
+  if (!menu) return null;
+  const shopHosts = [shop.primaryDomain.host, store.domain, ...store.hosts];
+  const toMenuItem = ({ url, type, items, ...item }) => ({
+    ...item,
+    type,
+    ...menuUrl(url, type, shopHosts),
+    items: (items || []).map(toMenuItem),
+  });
+  return { ...menu, items: menu.items.map(toMenuItem) };
+}
+
+// Section type → fetcher returning the section's `data`
+const HOME_SECTIONS = {
+  async collection({ handle, limit }) {
+    const query = gql`
+      query HomeCollection($handle: String!, $first: Int!) {
+        collection(handle: $handle) {
+          id
+          title
+          handle
+          description
+          image { url altText }
+          ${COLLECTION_METAFIELDS}
+          products(first: $first) { edges { node { ${PRODUCT_CARD_FIELDS} } } }
+        }
+      }
+    `;
+    const { collection } = await storefront(query, { handle, first: limit });
+    if (!collection) throw new NotFoundError(`Collection not found: ${handle}`);
+    const { products, ...fields } = collection;
+    return {
+      collection: {
+        id: fields.id,
+        title: fields.title,
+        handle: fields.handle,
+        description: fields.description,
+        image: fields.image,
+        metafields: readMetafields(fields, "collection"),
+      },
+      products: products.edges.map((e) => toProductCard(e.node)),
+    };
+  },
+
+  async newArrivals({ limit }) {
+    const query = gql`
+      query NewArrivals($first: Int!) {
+        products(first: $first, sortKey: CREATED_AT, reverse: true) {
+          edges { node { ${PRODUCT_CARD_FIELDS} } }
+        }
+      }
+    `;
+    const { products } = await storefront(query, { first: limit });
+    return { products: products.edges.map((e) => toProductCard(e.node)) };
+  },
+
+  async products({ handles }) {
+    // One aliased field per handle, in layout order; unknown ones are dropped
+    const definitions = handles.map((_, i) => `$h${i}: String!`).join(", ");
+    const fields = handles
+      .map(
+        (_, i) => `p${i}: product(handle: $h${i}) { ${PRODUCT_CARD_FIELDS} }`
+      )
+      .join("\n");
+    const query = gql`
+      query HomeProducts(${definitions}) {
+        ${fields}
+      }
+    `;
+    const data = await storefront(
+      query,
+      Object.fromEntries(handles.map((handle, i) => [`h${i}`, handle]))
+    );
+    return {
+      products: handles
+        .map((_, i) => data[`p${i}`])
+        .filter(Boolean)
+        .map(toProductCard),
+    };
+  },
+
+  async menu({ handle }) {
+    const menu = toMenu(await storefront(MENU_QUERY, { handle }));
+    if (!menu) throw new NotFoundError(`Menu not found: ${handle}`);
+    return { menu };
+  },
+};
+
+/** Fetch one layout section, turning a failure into an error status. */
+async function homeSection(section) {
+  const { id, type, title } = section;
+  try {
+    const data = await HOME_SECTIONS[type](section);
+    return { id, type, title, status: "ok", data };
+  } catch (err) {
+    const known = err instanceof ApiError;
+    currentLogger()[known ? "warn" : "error"]("Home section failed", {
+      section: id,
+      err,
+    });
+    const error = known ? err : new ApiError("Section failed");
+    return {
+      id,
+      type,
+      title,
+      status: "error",
+      error: { code: error.code, message: error.message },
+    };
+  }
+}
+
+router.get(
+  "/pages/home",
+  cacheControl(CACHE_POLICIES.home),
+  asyncHandler(async (req, res) => {
+    const store = currentStore();
+    const layout = homeLayout(store);
+    const page = await catalogueCache.wrap(
+      // Keyed by layout too, so a changed layout never serves an old page
+      storeKey(
+        `page:home:${queryKey(JSON.stringify(layout), currentLocale())}`,
+        store
+      ),
+      {
+        ...CACHE_POLICIES.home,
+        ttl: (result) =>
+          result.partial ? PARTIAL_TTL : CACHE_POLICIES.home.ttl,
+        tags: (result) =>
+          entityTags(result.sections).map((tag) => storeKey(tag, store)),
+      },
+      async () => {
+        const sections = await Promise.all(layout.map(homeSection));
+        return {
+          sections,
+          partial: sections.some((section) => section.status !== "ok"),
+        };
+      }
+    );
+    if (page.partial)
+      res.set("Cache-Control", `public, max-age=${PARTIAL_TTL}`);
+    res.json(page);
+  })
+);
+
+// ---------------------------------------------
+// 9. Content – menus, pages, blogs, articles, policies
+//    GET /menus/:handle           – nested items with internal URLs
+//    GET /pages/:handle           – (a page handled "home" is shadowed by
+//                                    the homepage composition above)
+//    GET /blogs/:handle/articles?first=10&after=CURSOR&tag=news
+//        → newest first; `tag` may repeat (any of them matches)
+//    GET /articles/:handle?blog=news  (`blog` defaults to "news")
+//    GET /policies                – privacy, refund, shipping, terms
+//    GET /policies/:handle        – e.g. /policies/refund-policy
+// ---------------------------------------------
+const SEO_FIELDS = "seo { title description }";
+const PAGE_FIELDS = `id handle title body bodySummary createdAt updatedAt ${SEO_FIELDS}`;
+const ARTICLE_SUMMARY_FIELDS = `
+  id
+  handle
+  title
+  excerpt
+  publishedAt
+  tags
+  image { url altText width height }
+  authorV2 { name }
+`;
+const ARTICLE_FIELDS = `
+  ${ARTICLE_SUMMARY_FIELDS}
+  contentHtml
+  ${SEO_FIELDS}
+  blog { handle title }
+`;
+const POLICY_FIELDS = "id handle title body url";
+// Policy handle → Shop field
+const POLICIES = {
+  "privacy-policy": "privacyPolicy",
+  "refund-policy": "refundPolicy",
+  "shipping-policy": "shippingPolicy",
+  "terms-of-service": "termsOfService",
+};
+
+/** Unwrap `authorV2` into a plain `author` name. */
+const toArticle = ({ authorV2, ...article }) => ({
+  ...article,
+  author: authorV2?.name || null,
 });
 
+router.get(
+  "/menus/:handle",
+  validate({ params: { handle: HANDLE } }),
+  cacheControl(CACHE_POLICIES.content),
+  asyncHandler(async (req, res) => {
+    const menu = toMenu(
+      await cachedStorefront(
+        MENU_QUERY,
+        { handle: req.params.handle },
+        CACHE_POLICIES.content
+      )
+    );
+    if (!menu) throw new NotFoundError("Menu not found");
+    res.json(menu);
+  })
+);
+
+router.get(
+  "/pages/:handle",
+  validate({ params: { handle: HANDLE } }),
+  cacheControl(CACHE_POLICIES.content),
+  asyncHandler(async (req, res) => {
+    const query = gql`
+      query Page($handle: String!) {
+        page(handle: $handle) { ${PAGE_FIELDS} }
+      }
+    `;
+    const { page } = await cachedStorefront(
+      query,
+      { handle: req.params.handle },
+      CACHE_POLICIES.content
+    );
+    if (!page) throw new NotFoundError("Page not found");
+    res.json(page);
+  })
+);
+
+router.get(
+  "/blogs/:handle/articles",
+  validate({
+    params: { handle: HANDLE },
+    query: {
+      ...PAGINATION,
+      tag: v.list(v.string({ maxLength: 255 }), { single: true }),
+    },
+  }),
+  cacheControl(CACHE_POLICIES.content),
+  asyncHandler(async (req, res) => {
+    const { first = 10, last, after, before, tag } = req.query;
+    const query = gql`
+      query BlogArticles(
+        $handle: String!
+        $first: Int
+        $last: Int
+        $after: String
+        $before: String
+        $query: String
+      ) {
+        blog(handle: $handle) {
+          id
+          handle
+          title
+          articles(
+            first: $first
+            last: $last
+            after: $after
+            before: $before
+            query: $query
+            sortKey: PUBLISHED_AT
+            reverse: true
+          ) {
+            pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
+            edges { cursor node { ${ARTICLE_SUMMARY_FIELDS} } }
+          }
+        }
+      }
+    `;
+    const vars = {
+      handle: req.params.handle,
+      first: last ? undefined : first,
+      last,
+      after,
+      before,
+      query: tag?.length ? anyTagQuery(tag) : undefined,
+    };
+    const { blog } = await cachedStorefront(
+      query,
+      vars,
+      CACHE_POLICIES.content
+    );
+    if (!blog) throw new NotFoundError("Blog not found");
+    const { articles, ...fields } = blog;
+    res.json({
+      blog: fields,
+      articles: articles.edges.map((e) => ({
+        ...toArticle(e.node),
+        cursor: e.cursor,
+      })),
+      pageInfo: articles.pageInfo,
+    });
+  })
+);
+
+router.get(
+  "/articles/:handle",
+  validate({
+    params: { handle: HANDLE },
+    query: { blog: { ...HANDLE, required: false } },
+  }),
+  cacheControl(CACHE_POLICIES.content),
+  asyncHandler(async (req, res) => {
+    const query = gql`
+      query Article($blog: String!, $handle: String!) {
+        blog(handle: $blog) {
+          articleByHandle(handle: $handle) { ${ARTICLE_FIELDS} }
+        }
+      }
+    `;
+    const { blog } = await cachedStorefront(
+      query,
+      { blog: req.query.blog || "news", handle: req.params.handle },
+      CACHE_POLICIES.content
+    );
+    if (!blog?.articleByHandle) throw new NotFoundError("Article not found");
+    res.json(toArticle(blog.articleByHandle));
+  })
+);
+
+const POLICY_SELECTION = Object.values(POLICIES)
+  .map((field) => `${field} { ${POLICY_FIELDS} }`)
+  .join("\n");
+const POLICIES_QUERY = gql`
+  query Policies {
+    shop { ${POLICY_SELECTION} }
+  }
+`;
+
+router.get(
+  "/policies",
+  cacheControl(CACHE_POLICIES.content),
+  asyncHandler(async (req, res) => {
+    const { shop } = await cachedStorefront(
+      POLICIES_QUERY,
+      {},
+      CACHE_POLICIES.content
+    );
+    res.json(shop);
+  })
+);
+
+router.get(
+  "/policies/:handle",
+  validate({
+    params: {
+      handle: v.string({ required: true, enum: Object.keys(POLICIES) }),
+    },
+  }),
+  cacheControl(CACHE_POLICIES.content),
+  asyncHandler(async (req, res) => {
+    const { shop } = await cachedStorefront(
+      POLICIES_QUERY,
+      {},
+      CACHE_POLICIES.content
+    );
+    const policy = shop[POLICIES[req.params.handle]];
+    if (!policy) throw new NotFoundError("Policy not found");
+    res.json(policy);
+  })
+);
+
+// ---------------------------------------------
+// 10. Wishlist (requires Bearer token)
+//    GET    /me/wishlist
+//    POST   /me/wishlist                  { productId, variantId? }
+//    DELETE /me/wishlist                  (clear)
+//    DELETE /me/wishlist/:productId       (URL‑encoded Product GID)
+//    POST   /me/wishlist/move-to-cart     { productId, variantId?,
+//                                           quantity?, cartId? }
+//    Items are stored by lib/wishlists.js and answered as
+//      { items: [{ productId, variantId, addedAt, product }] }
+//    where `product` is a product card (see toProductCard). Products that
+//    are no longer published are left out.
+//    Move to cart adds the line to `cartId` – the customer's saved cart
+//    (section 6b) by default – then drops the item from the wishlist.
+// ---------------------------------------------
+const WISHLIST_PRODUCTS_QUERY = gql`
+  query WishlistProducts($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        ${PRODUCT_CARD_FIELDS}
+      }
+    }
+  }
+`;
+
+const WISHLIST_VARIANTS_QUERY = gql`
+  query WishlistVariants($id: ID!) {
+    product(id: $id) {
+      variants(first: 100) {
+        nodes {
+          id
+          availableForSale
+        }
+      }
+    }
+  }
+`;
+
+const WISHLIST_ITEM = {
+  productId: v.gid("Product", { required: true }),
+  variantId: v.gid("ProductVariant"),
+};
+
+/** Wishlist response body – items hydrated with product cards. */
+async function toWishlist(items) {
+  if (!items.length) return { items: [] };
+  const { nodes } = await storefront(WISHLIST_PRODUCTS_QUERY, {
+    ids: items.map((item) => item.productId),
+  });
+  return {
+    items: items
+      .map((item, i) => ({
+        ...item,
+        product: nodes[i] ? toProductCard(nodes[i]) : null,
+      }))
+      .filter((item) => item.product),
+  };
+}
+
+/** The variant to add: the chosen one, else the first available. */
+async function variantToAdd(productId, variantId) {
+  if (variantId) return variantId;
+  const { product } = await storefront(WISHLIST_VARIANTS_QUERY, {
+    id: productId,
+  });
+  const variants = product?.variants.nodes || [];
+  const variant =
+    variants.find((candidate) => candidate.availableForSale) || variants[0];
+  if (!variant) throw new NotFoundError("Product not found");
+  return variant.id;
+}
+
+router.get(
+  "/me/wishlist",
+  requireCustomer,
+  asyncHandler(async (req, res) => {
+    res.json(await toWishlist(await wishlists.get(req.customer.id)));
+  })
+);
+
+router.post(
+  "/me/wishlist",
+  requireCustomer,
+  validate({ body: WISHLIST_ITEM }),
+  asyncHandler(async (req, res) => {
+    const { productId, variantId } = req.body;
+    const items = await wishlists.add(req.customer.id, {
+      productId,
+      variantId,
+    });
+    res.json(await toWishlist(items));
+  })
+);
+
+router.delete(
+  "/me/wishlist",
+  requireCustomer,
+  asyncHandler(async (req, res) => {
+    res.json(await toWishlist(await wishlists.remove(req.customer.id)));
+  })
+);
+
+router.delete(
+  "/me/wishlist/:productId",
+  requireCustomer,
+  validate({ params: { productId: WISHLIST_ITEM.productId } }),
+  asyncHandler(async (req, res) => {
+    const items = await wishlists.remove(req.customer.id, [
+      req.params.productId,
+    ]);
+    res.json(await toWishlist(items));
+  })
+);
+
+router.post(
+  "/me/wishlist/move-to-cart",
+  requireCustomer,
+  rateLimit("cart"),
+  validate({
+    body: {
+      ...WISHLIST_ITEM,
+      quantity: v.int({ min: 1, max: 10000 }),
+      cartId: v.gid("Cart"),
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const { productId, quantity = 1 } = req.body;
+    const customerId = req.customer.id;
+    const item = (await wishlists.get(customerId)).find(
+      (saved) => saved.productId === productId
+    );
+    if (!item) throw new NotFoundError("Product is not in the wishlist");
+    const merchandiseId = await variantToAdd(
+      productId,
+      req.body.variantId || item.variantId
+    );
+    const cartId =
+      req.body.cartId ||
+      (await savedCart(customerId, cartBuyerIdentity(req))).id;
+    const data = await storefront(cartMutation("LinesAdd"), {
+      cartId,
+      lines: [{ merchandiseId, quantity }],
+    });
+    const items = await wishlists.remove(customerId, [productId]);
+    res.json({
+      cart: data.cartLinesAdd.cart,
+      wishlist: await toWishlist(items),
+    });
+  })
+);
+
 module.exports = router;
@@ -0,0 +1,124 @@
+// Shopify webhook receiver – cache invalidation
+// --------------------------------------------------------------
+// Notes:
+// • Mounted before the global `express.json()` parser so the HMAC can be
+//   verified against the exact raw body Shopify signed.
+// • Deliveries are de‑duplicated by `X-Shopify-Webhook-Id` (Shopify retries).
+// • The store is matched by `X-Shopify-Shop-Domain` (falling back to the
+//   request's store) and the HMAC is checked with its `webhookSecret`.
+// --------------------------------------------------------------
+
+const express = require("express");
+const crypto = require("crypto");
+const { gql } = require("graphql-request");
+const { admin } = require("../lib/shopify");
+const { catalogueCache } = require("../lib/cache");
+const {
+  registry,
+  currentStore,
+  runWithStore,
+  storeKey,
+} = require("../lib/stores");
+const { createMemoryStore } = require("../lib/kv");
+const { ApiError, UnauthorizedError, asyncHandler } = require("../lib/errors");
+
+const router = express.Router();
+
+// Shopify retries for up to 48h
+const DEDUPE_TTL_MS = 48 * 60 * 60 * 1000;
+const seenWebhooks = createMemoryStore({ max: 10000 });
+
+/**
+ * Constant‑time comparison of the `X-Shopify-Hmac-Sha256` header against the
+ * base64 HMAC of the raw body.
+ */
+function verifyHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !Buffer.isBuffer(rawBody)) return false;
+  const digest = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, "base64");
+  return (
+    received.length === digest.length &&
+    crypto.timingSafeEqual(received, digest)
+  );
+}
+
+const gidFor = (type, payload) =>
+  payload.admin_graphql_api_id || `gid://shopify/${type}/${payload.id}`;
+
+// ---------------------------------------------
+// Topic handlers – each returns the cache tags to purge
+// ---------------------------------------------
+const TOPIC_HANDLERS = {
+  "products/update": async (payload) => [
+    gidFor("Product", payload),
+    `product:${payload.handle}`,
+  ],
+
+  "products/delete": async (payload) => [gidFor("Product", payload)],
+
+  "collections/update": async (payload) => [
+    gidFor("Collection", payload),
+    `collection:${payload.handle}`,
+  ],
+
+  // Inventory payloads only carry the inventory item – resolve its product
+  "inventory_levels/update": async (payload) => {
+    const query = gql`
+      query InventoryItemProduct($id: ID!) {
+        inventoryItem(id: $id) {
+          variant {
+            product {
+              id
+              handle
+            }
+          }
+        }
+      }
+    `;
+    const data = await admin(query, {
+      id: `gid://shopify/InventoryItem/${payload.inventory_item_id}`,
+    });
+    const product = data.inventoryItem?.variant?.product;
+    return product ? [product.id, `product:${product.handle}`] : [];
+  },
+};
+
+// ---------------------------------------------
+// POST /webhooks/shopify
+// ---------------------------------------------
+router.post(
+  "/shopify",
+  express.raw({ type: "application/json" }),
+  asyncHandler(async (req, res) => {
+    const shopDomain = req.get("X-Shopify-Shop-Domain");
+    const store = (shopDomain && registry.byHost(shopDomain)) || currentStore();
+    const secret = store.webhookSecret;
+    if (!secret)
+      throw new ApiError("Webhook secret not configured", {
+        code: "WEBHOOK_NOT_CONFIGURED",
+      });
+    if (!verifyHmac(req.body, req.get("X-Shopify-Hmac-Sha256"), secret))
+      throw new UnauthorizedError("Invalid webhook signature");
+
+    const webhookId = req.get("X-Shopify-Webhook-Id");
+    const dedupeKey = webhookId && storeKey(webhookId, store);
+    const topic = req.get("X-Shopify-Topic");
+    if (dedupeKey && (await seenWebhooks.get(dedupeKey)))
+      return res.json({ ok: true, duplicate: true });
+
+    const handler = TOPIC_HANDLERS[topic];
+    if (!handler) return res.json({ ok: true, ignored: topic });
+
+    // A failure here answers non‑2xx, so Shopify retries the delivery
+    const payload = JSON.parse(req.body.toString("utf8"));
+    const tags = await runWithStore(store, () => handler(payload));
+    const purged = await catalogueCache.purgeTags(
+      tags.map((tag) => storeKey(tag, store))
+    );
+    // Only remember successful deliveries so failed ones can be retried
+    if (dedupeKey) await seenWebhooks.set(dedupeKey, true, DEDUPE_TTL_MS);
+    res.json({ ok: true, topic, purged });
+  })
+);
+
+module.exports = router;
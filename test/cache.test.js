@@ -0,0 +1,103 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createCache } = require("../lib/cache");
+const { createMemoryStore } = require("../lib/kv");
+
+const POLICY = { ttl: 60, swr: 300 };
+
+/** A fetcher counting its calls. */
+function counter(value = "value") {
+  const fetcher = async () => {
+    fetcher.calls += 1;
+    return value;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+describe("createCache", () => {
+  it("serves stale entries while one background refresh runs", async () => {
+    const cache = createCache();
+    let version = 0;
+    const fetcher = async () => `v${++version}`;
+    // Stale from the start
+    const policy = { ttl: 0, swr: 60 };
+    assert.equal(await cache.wrap("page", policy, fetcher), "v1");
+    const stale = await Promise.all([
+      cache.wrap("page", policy, fetcher),
+      cache.wrap("page", policy, fetcher),
+    ]);
+    assert.deepEqual(stale, ["v1", "v1"]);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(version, 2);
+    assert.equal(await cache.wrap("page", policy, fetcher), "v2");
+  });
+
+  it("keeps the stale entry when the background refresh fails", async () => {
+    const cache = createCache();
+    const policy = { ttl: 0, swr: 60 };
+    await cache.wrap("page", policy, async () => "v1");
+    const failing = async () => {
+      throw new Error("Shopify is down");
+    };
+    assert.equal(await cache.wrap("page", policy, failing), "v1");
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(await cache.wrap("page", policy, failing), "v1");
+  });
+
+  it("shares one fetch between concurrent misses", async () => {
+    const cache = createCache();
+    const fetcher = counter();
+    const values = await Promise.all(
+      Array.from({ length: 5 }, () => cache.wrap("page", POLICY, fetcher))
+    );
+    assert.deepEqual(values, Array(5).fill("value"));
+    assert.equal(fetcher.calls, 1);
+  });
+
+  it("refetches once an entry is past its stale window", async () => {
+    const cache = createCache();
+    const fetcher = counter();
+    await cache.wrap("page", POLICY, fetcher);
+    const entry = await cache.store.get("page");
+    await cache.store.set("page", { ...entry, freshUntil: 0, staleUntil: 0 });
+    await cache.wrap("page", POLICY, fetcher);
+    assert.equal(fetcher.calls, 2);
+  });
+
+  it("keeps pages with more tags than the entry store holds", async () => {
+    const cache = createCache({ store: createMemoryStore({ max: 5 }) });
+    const tags = Array.from({ length: 50 }, (_, i) => `product:${i}`);
+    const fetcher = counter();
+    await cache.wrap("page", { ...POLICY, tags }, fetcher);
+    assert.equal(
+      await cache.wrap("page", { ...POLICY, tags }, fetcher),
+      "value"
+    );
+    assert.equal(fetcher.calls, 1);
+    assert.equal(await cache.purgeTags(["product:49"]), 1);
+    await cache.wrap("page", { ...POLICY, tags }, fetcher);
+    assert.equal(fetcher.calls, 2);
+  });
+
+  it("indexes every entry when fills tag concurrently", async () => {
+    // A store slow enough for both fills to read the index before either writes
+    const store = createMemoryStore();
+    const slow = {
+      get: async (key) => {
+        const value = await store.get(key);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        return value;
+      },
+      set: store.set,
+      delete: store.delete,
+    };
+    const cache = createCache({ tagStore: slow });
+    const policy = { ...POLICY, tags: ["collection:all"] };
+    await Promise.all([
+      cache.wrap("a", policy, counter()),
+      cache.wrap("b", policy, counter()),
+    ]);
+    assert.equal(await cache.purgeTags(["collection:all"]), 2);
+  });
+});
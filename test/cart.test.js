@@ -0,0 +1,335 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, bearer } = require("./helpers/app");
+const {
+  TOKEN,
+  CART_ID,
+  CUSTOMER,
+  cart,
+  variant,
+  fixtures,
+} = require("./fixtures");
+const { reply } = require("./helpers/mockShopify");
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+const CART_PATH = `/api/cart/${encodeURIComponent(CART_ID)}`;
+const LINE_ID = "gid://shopify/CartLine/1?cart=c1";
+
+describe("cart", () => {
+  it("POST /api/cart creates a cart in the buyer's country", async () => {
+    const res = await api.post(
+      "/api/cart?country=CA",
+      {
+        lines: [{ merchandiseId: variant(1).id, quantity: 2 }],
+        note: "Gift",
+      },
+      { headers: bearer(TOKEN) }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.id, CART_ID);
+    assert.equal(res.body.totalQuantity, 2);
+    assert.equal(res.body.buyerIdentity.customer.id, CUSTOMER.id);
+    const { input } = api.shopify.callsTo("CartCreate")[0].variables;
+    assert.deepEqual(input.buyerIdentity, {
+      customerAccessToken: TOKEN,
+      countryCode: "CA",
+    });
+  });
+
+  it("POST /api/cart validates lines", async () => {
+    const res = await api.post("/api/cart", {
+      lines: [{ merchandiseId: "gid://shopify/Product/1", quantity: 0 }],
+    });
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.details.map((d) => d.field).sort(), [
+      "lines[0].merchandiseId",
+      "lines[0].quantity",
+    ]);
+  });
+
+  it("GET /api/cart/:id returns the cart", async () => {
+    const res = await api.get(CART_PATH);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.lines.edges.length, 1);
+  });
+
+  it("GET /api/cart/:id returns 404 for unknown carts", async () => {
+    const res = await api.get(
+      `/api/cart/${encodeURIComponent("gid://shopify/Cart/gone")}`
+    );
+    assert.equal(res.status, 404);
+  });
+
+  it("POST /api/cart/:id/add adds lines", async () => {
+    const res = await api.post(`${CART_PATH}/add`, {
+      lines: [{ merchandiseId: variant(2).id, quantity: 3 }],
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totalQuantity, 3);
+    const { variables } = api.shopify.callsTo("CartLinesAdd")[0];
+    assert.equal(variables.cartId, CART_ID);
+  });
+
+  it("POST /api/cart/:id/update updates lines", async () => {
+    const res = await api.post(`${CART_PATH}/update`, {
+      lines: [{ id: LINE_ID, quantity: 0 }],
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      api.shopify.callsTo("CartLinesUpdate")[0].variables.lines,
+      [{ id: LINE_ID, quantity: 0 }]
+    );
+  });
+
+  it("POST /api/cart/:id/remove removes lines", async () => {
+    const res = await api.post(`${CART_PATH}/remove`, { lineIds: [LINE_ID] });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.totalQuantity, 0);
+  });
+
+  it("POST /api/cart/:id/buyer-identity links the customer", async () => {
+    const res = await api.post(
+      `${CART_PATH}/buyer-identity`,
+      { email: "ada@example.com", countryCode: "GB" },
+      { headers: bearer(TOKEN) }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.buyerIdentity.countryCode, "GB");
+    const { buyerIdentity } = api.shopify.callsTo("CartBuyerIdentityUpdate")[0]
+      .variables;
+    assert.equal(buyerIdentity.customerAccessToken, TOKEN);
+  });
+
+  it("POST /api/cart/:id/discount-codes applies codes", async () => {
+    const res = await api.post(`${CART_PATH}/discount-codes`, {
+      discountCodes: ["SAVE10"],
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.discountCodes, [
+      { code: "SAVE10", applicable: true },
+    ]);
+  });
+
+  it("POST /api/cart/:id/note sets the note", async () => {
+    const res = await api.post(`${CART_PATH}/note`, { note: "Leave at door" });
+    assert.equal(res.body.note, "Leave at door");
+  });
+
+  it("POST /api/cart/:id/attributes sets attributes", async () => {
+    const attributes = [{ key: "gift", value: "yes" }];
+    const res = await api.post(`${CART_PATH}/attributes`, { attributes });
+    assert.deepEqual(res.body.attributes, attributes);
+  });
+
+  it("surfaces cart userErrors as a 400", async () => {
+    api.shopify.on("CartLinesAdd", () => ({
+      cartLinesAdd: {
+        cart: null,
+        userErrors: [
+          {
+            field: ["lines", "0", "merchandiseId"],
+            message: "The merchandise does not exist",
+          },
+        ],
+      },
+    }));
+    const res = await api.post(`${CART_PATH}/add`, {
+      lines: [{ merchandiseId: variant(9).id }],
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "USER_ERROR");
+    assert.equal(res.body.details[0].field, "lines.0.merchandiseId");
+  });
+
+  it("rejects undeclared keys in cart lines and buyer identities", async () => {
+    const add = await api.post(`${CART_PATH}/add`, {
+      lines: [
+        {
+          merchandiseId: variant(1).id,
+          cost: { amount: "0" },
+          attributes: [{ key: "gift", value: "yes", hidden: true }],
+        },
+      ],
+    });
+    assert.equal(add.status, 422);
+    assert.deepEqual(
+      add.body.details.map((d) => [d.field, d.message]),
+      [
+        ["lines[0].attributes[0]", "must not contain: hidden"],
+        ["lines[0]", "must not contain: cost"],
+      ]
+    );
+    const create = await api.post("/api/cart", {
+      buyerIdentity: { customerAccessToken: "someone-else" },
+    });
+    assert.equal(create.status, 422);
+    assert.equal(api.shopify.callsTo("CartLinesAdd").length, 0);
+    assert.equal(api.shopify.callsTo("CartCreate").length, 0);
+  });
+
+  it("rejects malformed cart ids", async () => {
+    const res = await api.post("/api/cart/123/note", { note: "x" });
+    assert.equal(res.status, 422);
+  });
+});
+
+describe("customer cart", () => {
+  const SAVED_ID = "gid://shopify/Cart/saved?key=def";
+  const savedCart = (overrides = {}) => {
+    api.shopify.on("CartCreate", ({ input }) => ({
+      cartCreate: {
+        cart: cart(input.lines, { id: SAVED_ID }),
+        userErrors: [],
+      },
+    }));
+    api.shopify.on("Cart", ({ cartId }) => ({
+      cart: [SAVED_ID, CART_ID].includes(cartId)
+        ? cart([], { id: cartId })
+        : null,
+    }));
+    Object.entries(overrides).forEach(([name, fn]) => api.shopify.on(name, fn));
+  };
+
+  it("GET /api/me/cart requires a customer token", async () => {
+    const res = await api.get("/api/me/cart");
+    assert.equal(res.status, 401);
+  });
+
+  it("GET /api/me/cart creates a cart once and serves it after", async () => {
+    savedCart();
+    const first = await api.get("/api/me/cart", { headers: bearer(TOKEN) });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.id, SAVED_ID);
+    const { input } = api.shopify.callsTo("CartCreate")[0].variables;
+    assert.equal(input.buyerIdentity.customerAccessToken, TOKEN);
+    const second = await api.get("/api/me/cart", { headers: bearer(TOKEN) });
+    assert.equal(second.body.id, SAVED_ID);
+    assert.equal(api.shopify.callsTo("CartCreate").length, 1);
+    assert.equal(api.shopify.callsTo("Cart")[0].variables.cartId, SAVED_ID);
+  });
+
+  it("GET /api/me/cart replaces an expired or checked-out cart", async () => {
+    await api.get("/api/me/cart", { headers: bearer(TOKEN) });
+    savedCart({ Cart: () => ({ cart: null }) });
+    const res = await api.get("/api/me/cart", { headers: bearer(TOKEN) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.id, SAVED_ID);
+    assert.equal(api.shopify.callsTo("Cart")[0].variables.cartId, CART_ID);
+  });
+
+  it("remembers carts created with a customer token", async () => {
+    await api.post("/api/cart", {}, { headers: bearer(TOKEN) });
+    api.shopify.reset();
+    const res = await api.get("/api/me/cart", { headers: bearer(TOKEN) });
+    assert.equal(res.body.id, CART_ID);
+    assert.equal(api.shopify.callsTo("CartCreate").length, 0);
+  });
+
+  it("POST /api/login adopts the anonymous cart without a saved one", async () => {
+    const res = await api.post("/api/login", {
+      email: CUSTOMER.email,
+      password: "secret",
+      cartId: CART_ID,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accessToken, TOKEN);
+    assert.equal(res.body.cart.id, CART_ID);
+    const { variables } = api.shopify.callsTo("CartBuyerIdentityUpdate")[0];
+    assert.equal(variables.cartId, CART_ID);
+    assert.equal(variables.buyerIdentity.customerAccessToken, TOKEN);
+    const mine = await api.get("/api/me/cart", { headers: bearer(TOKEN) });
+    assert.equal(mine.body.id, CART_ID);
+  });
+
+  it("POST /api/login merges the anonymous cart into the saved one", async () => {
+    savedCart();
+    await api.get("/api/me/cart", { headers: bearer(TOKEN) });
+    const res = await api.post("/api/login", {
+      email: CUSTOMER.email,
+      password: "secret",
+      cartId: CART_ID,
+    });
+    assert.equal(res.body.cart.id, SAVED_ID);
+    assert.equal(res.body.cart.totalQuantity, 2);
+    const { variables } = api.shopify.callsTo("CartLinesAdd")[0];
+    assert.equal(variables.cartId, SAVED_ID);
+    assert.deepEqual(variables.lines, [
+      { merchandiseId: variant(1).id, quantity: 2, attributes: [] },
+    ]);
+  });
+
+  it("POST /api/login empties the anonymous cart it merged", async () => {
+    const emptied = new Set();
+    savedCart({
+      CartLines: ({ cartId }) =>
+        emptied.has(cartId)
+          ? { cart: cart([], { id: cartId }) }
+          : fixtures.CartLines({ cartId }),
+      CartLinesRemove: ({ cartId, lineIds }) => {
+        emptied.add(cartId);
+        assert.deepEqual(lineIds, [LINE_ID]);
+        return {
+          cartLinesRemove: { cart: cart([], { id: cartId }), userErrors: [] },
+        };
+      },
+    });
+    await api.get("/api/me/cart", { headers: bearer(TOKEN) });
+    const login = () =>
+      api.post("/api/login", {
+        email: CUSTOMER.email,
+        password: "secret",
+        cartId: CART_ID,
+      });
+    await login();
+    const again = await login();
+    assert.equal(again.body.cart.id, SAVED_ID);
+    assert.equal(api.shopify.callsTo("CartLinesAdd").length, 1);
+    assert.equal(
+      api.shopify.callsTo("CartLinesRemove")[0].variables.cartId,
+      CART_ID
+    );
+  });
+
+  it("POST /api/login keeps the saved cart when Shopify rejects the lines", async () => {
+    savedCart({
+      CartLinesAdd: () => ({
+        cartLinesAdd: {
+          cart: null,
+          userErrors: [
+            {
+              field: ["lines", "0", "merchandiseId"],
+              message: "The merchandise does not exist",
+            },
+          ],
+        },
+      }),
+    });
+    await api.get("/api/me/cart", { headers: bearer(TOKEN) });
+    const res = await api.post("/api/login", {
+      email: CUSTOMER.email,
+      password: "secret",
+      cartId: CART_ID,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cart.id, SAVED_ID);
+    assert.equal(api.shopify.callsTo("CartLinesRemove").length, 0);
+  });
+
+  it("POST /api/login still logs in when the merge fails", async () => {
+    api.shopify.on("CartLines", () => reply({ status: 500 }));
+    const res = await api.post("/api/login", {
+      email: CUSTOMER.email,
+      password: "secret",
+      cartId: CART_ID,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accessToken, TOKEN);
+    assert.equal(res.body.cart, null);
+  });
+});
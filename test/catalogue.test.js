@@ -0,0 +1,315 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+const { MISSING, PRODUCTS } = require("./fixtures");
+
+let api;
+before(async () => {
+  api = await startApp({ ADMIN_METAFIELDS: "custom.badge" });
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+describe("GET /api/products", () => {
+  it("returns the first page with cursors", async () => {
+    const res = await api.get("/api/products?first=2");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.products.map((p) => p.handle),
+      ["product-1", "product-2"]
+    );
+    assert.equal(res.body.products[1].cursor, "c1");
+    assert.equal(res.body.pageInfo.hasNextPage, true);
+    assert.equal(res.body.pageInfo.endCursor, "c1");
+  });
+
+  it("answers a matching If-None-Match with 304", async () => {
+    const first = await api.get("/api/products?first=2");
+    const etag = first.headers.get("etag");
+    assert.ok(etag);
+    assert.match(first.headers.get("cache-control"), /^public, max-age=\d+/);
+    // As a browser revalidates – fetch() adds `no-cache` otherwise
+    const revalidate = (tag) =>
+      api.get("/api/products?first=2", {
+        headers: { "If-None-Match": tag, "Cache-Control": "max-age=0" },
+      });
+    const again = await revalidate(etag);
+    assert.equal(again.status, 304);
+    assert.equal(again.body, null);
+    const changed = await revalidate('"stale"');
+    assert.equal(changed.status, 200);
+  });
+
+  it("continues after a cursor", async () => {
+    const res = await api.get("/api/products?first=2&after=c1");
+    assert.deepEqual(
+      res.body.products.map((p) => p.handle),
+      ["product-3"]
+    );
+    assert.equal(res.body.pageInfo.hasNextPage, false);
+    assert.equal(res.body.pageInfo.hasPreviousPage, true);
+  });
+
+  it("pages backwards with last alone", async () => {
+    const res = await api.get("/api/products?last=2&before=c2");
+    assert.equal(res.status, 200);
+    const { variables } = api.shopify.callsTo("Products")[0];
+    assert.equal(variables.first, undefined);
+    assert.equal(variables.last, 2);
+  });
+
+  it("sets cache headers and serves repeats from the cache", async () => {
+    const first = await api.get("/api/products?first=1");
+    const second = await api.get("/api/products?first=1");
+    assert.match(first.headers.get("cache-control"), /max-age=60/);
+    assert.deepEqual(second.body, first.body);
+    assert.equal(api.shopify.callsTo("Products").length, 1);
+  });
+
+  it("rejects invalid pagination with a 422", async () => {
+    const res = await api.get("/api/products?first=0&after=not%20a%20cursor");
+    assert.equal(res.status, 422);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(res.body.details.map((d) => d.field).sort(), [
+      "after",
+      "first",
+    ]);
+  });
+
+  it("filters by Admin status and stock", async () => {
+    const res = await api.get("/api/products?status=active&inStock=true");
+    assert.deepEqual(
+      res.body.products.map((p) => p.handle),
+      ["product-1"]
+    );
+    assert.equal(api.shopify.callsTo("AdminProducts")[0].api, "admin");
+  });
+});
+
+describe("Admin metafield filters", () => {
+  it("filters and annotates allowlisted metafields", async () => {
+    const res = await api.get(
+      "/api/products?metafield=custom.badge:new&annotate=true"
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.products.map((p) => p.handle),
+      ["product-1"]
+    );
+    assert.deepEqual(res.body.products[0].admin.metafields, {
+      "custom.badge": "new",
+    });
+    // Admin data never reaches shared caches
+    assert.equal(res.headers.get("cache-control"), "private, no-store");
+  });
+
+  it("rejects metafields outside ADMIN_METAFIELDS", async () => {
+    const res = await api.get("/api/products?metafield=private.cost_price");
+    assert.equal(res.status, 422);
+    assert.equal(res.body.details[0].field, "metafield[0]");
+    assert.equal(api.shopify.callsTo("AdminProducts").length, 0);
+  });
+
+  it("caps the number of metafield filters", async () => {
+    const query = Array(11).fill("metafield=custom.badge").join("&");
+    const res = await api.get(`/api/products?${query}`);
+    assert.equal(res.status, 422);
+  });
+});
+
+describe("GET /api/search", () => {
+  it("searches with filters and facets", async () => {
+    const res = await api.get(
+      "/api/search?q=shirt&first=2&minPrice=5&tag=summer&option[Size]=Small"
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.products.length, 2);
+    assert.equal(res.body.totalCount, 3);
+    assert.deepEqual(res.body.facets[0].values[0].input, { available: true });
+    const { variables } = api.shopify.callsTo("Search")[0];
+    assert.deepEqual(variables.filters, [
+      { price: { min: 5 } },
+      { tag: "summer" },
+      { variantOption: { name: "Size", value: "Small" } },
+    ]);
+  });
+
+  it("sorts by newest through the products connection", async () => {
+    const res = await api.get("/api/search?q=shirt&sort=newest&tag=a");
+    assert.equal(res.status, 200);
+    const { variables } = api.shopify.callsTo("SearchProducts")[0];
+    assert.equal(variables.sortKey, "CREATED_AT");
+    assert.equal(variables.query, 'shirt AND tag:"a"');
+    assert.equal(api.shopify.callsTo("SearchFacets").length, 1);
+  });
+
+  it("rejects option filters with products-only sorts", async () => {
+    const res = await api.get("/api/search?sort=newest&option[Size]=Small");
+    assert.equal(res.status, 422);
+  });
+
+  it("takes repeated option values and rejects nested ones", async () => {
+    const res = await api.get(
+      "/api/search?option[Size]=Small&option[Size]=Large&option[Color]=Red"
+    );
+    assert.deepEqual(api.shopify.callsTo("Search")[0].variables.filters, [
+      { variantOption: { name: "Size", value: "Small" } },
+      { variantOption: { name: "Size", value: "Large" } },
+      { variantOption: { name: "Color", value: "Red" } },
+    ]);
+    assert.equal(res.status, 200);
+    const nested = await api.get("/api/search?option[Size][eq]=Small");
+    assert.equal(nested.status, 422);
+    assert.equal(nested.body.details[0].field, "option.Size[0]");
+    const flat = await api.get("/api/search?option=Small");
+    assert.equal(flat.status, 422);
+  });
+
+  it("sorts by price with the price alias", async () => {
+    await api.get("/api/search?q=shirt&sort=price");
+    const { variables } = api.shopify.callsTo("Search")[0];
+    assert.equal(variables.sortKey, "PRICE");
+    assert.equal(variables.reverse, false);
+  });
+});
+
+describe("GET /api/products/:handle", () => {
+  it("returns the flattened product", async () => {
+    const res = await api.get("/api/products/product-1");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.id, PRODUCTS[0].id);
+    assert.equal(res.body.variants.length, 2);
+    assert.equal(res.body.media[0].type, "IMAGE");
+    assert.equal(res.body.variantsPageInfo.hasNextPage, false);
+    assert.equal(res.body.selectedVariant, undefined);
+  });
+
+  it("resolves the variant for selected options", async () => {
+    const res = await api.get("/api/products/product-1?variant[Size]=Large");
+    assert.equal(res.body.selectedVariant.title, "Large");
+    const { variables } = api.shopify.callsTo("ProductByHandle")[0];
+    assert.deepEqual(variables.selectedOptions, [
+      { name: "Size", value: "Large" },
+    ]);
+  });
+
+  it("pages through variants", async () => {
+    const res = await api.get("/api/products/product-1?variantsFirst=1");
+    assert.equal(res.body.variants.length, 1);
+    assert.equal(res.body.variantsPageInfo.hasNextPage, true);
+  });
+
+  it("returns 404 for unknown handles", async () => {
+    const res = await api.get(`/api/products/${MISSING}`);
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "NOT_FOUND");
+    assert.ok(res.body.requestId);
+  });
+});
+
+describe("GET /api/products/:handle/recommendations", () => {
+  it("returns Shopify recommendations as product cards", async () => {
+    const res = await api.get("/api/products/product-1/recommendations");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.source, "shopify");
+    assert.deepEqual(
+      res.body.products.map((p) => p.handle),
+      ["product-2", "product-3"]
+    );
+    assert.equal(res.body.products[0].salePrice, "20");
+  });
+
+  it("falls back to the product's collection", async () => {
+    api.shopify.on("Recommendations", () => ({ productRecommendations: [] }));
+    const res = await api.get(
+      "/api/products/product-1/recommendations?limit=1&intent=complementary"
+    );
+    assert.equal(res.body.source, "collection");
+    assert.equal(res.body.intent, "complementary");
+    assert.deepEqual(
+      res.body.products.map((p) => p.handle),
+      ["product-2"]
+    );
+  });
+
+  it("returns 404 for unknown products", async () => {
+    const res = await api.get(`/api/products/${MISSING}/recommendations`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("collections", () => {
+  it("GET /api/all-collections lists collections with product cards", async () => {
+    const res = await api.get("/api/all-collections");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.collections.length, 2);
+    assert.equal(res.body.collections[0].products.length, 3);
+    assert.equal(res.body.collections[0].products[0].currencyCode, "USD");
+    assert.equal(res.body.lastCursor, "c1");
+  });
+
+  it("GET /api/collections/:handle paginates and sorts products", async () => {
+    const res = await api.get(
+      "/api/collections/collection-1?first=2&sort=price-desc"
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.collection.handle, "collection-1");
+    assert.equal(res.body.products.length, 2);
+    assert.equal(res.body.pageInfo.hasNextPage, true);
+    assert.equal(res.body.facets.length, 1);
+    const { variables } = api.shopify.callsTo("CollectionByHandle")[0];
+    assert.equal(variables.sortKey, "PRICE");
+    assert.equal(variables.reverse, true);
+  });
+
+  it("GET /api/collections/:handle returns 404 for unknown handles", async () => {
+    const res = await api.get(`/api/collections/${MISSING}`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("GET /api/localization", () => {
+  it("lists countries, unique currencies and languages", async () => {
+    const res = await api.get("/api/localization?country=CA&language=fr");
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.currencies.map((c) => c.isoCode),
+      ["USD", "CAD"]
+    );
+    const { query, variables } = api.shopify.callsTo("Localization")[0];
+    assert.match(
+      query,
+      /@inContext\(country: \$country, language: \$language\)/
+    );
+    assert.equal(variables.country, "CA");
+    assert.equal(variables.language, "FR");
+  });
+
+  it("rejects malformed locales", async () => {
+    const res = await api.get("/api/localization?country=Canada");
+    assert.equal(res.status, 422);
+  });
+
+  it("rejects languages Shopify doesn't support", async () => {
+    const res = await api.get("/api/localization?language=tlh");
+    assert.equal(res.status, 422);
+    assert.equal(res.body.details[0].field, "language");
+    assert.equal(api.shopify.callsTo("Localization").length, 0);
+  });
+
+  it("skips unsupported Accept-Language tags", async () => {
+    const res = await api.get("/api/localization", {
+      headers: { "Accept-Language": "tlh, pt-BR;q=0.8, en;q=0.5" },
+    });
+    assert.equal(res.status, 200);
+    const { variables } = api.shopify.callsTo("Localization")[0];
+    assert.equal(variables.language, "PT_BR");
+  });
+
+  it("ignores an Accept-Language without supported tags", async () => {
+    const res = await api.get("/api/localization", {
+      headers: { "Accept-Language": "tlh, x-klingon" },
+    });
+    assert.equal(res.status, 200);
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkConfig, assertConfig, ConfigError } = require("../lib/config");
+
+const VALID_ENV = {
+  SHOPIFY_DOMAIN: "acme.myshopify.com",
+  SHOPIFY_STOREFRONT_TOKEN: "storefront-token",
+  SHOPIFY_ADMIN_API_TOKEN: "admin-token",
+  ALLOWED_ORIGINS: "https://acme.com, http://localhost:3000",
+};
+
+describe("checkConfig", () => {
+  it("accepts a complete single-store environment", () => {
+    assert.deepEqual(checkConfig(VALID_ENV), []);
+  });
+
+  it("lists every missing variable at once", () => {
+    assert.deepEqual(checkConfig({ ALLOWED_ORIGINS: " " }), [
+      "SHOPIFY_DOMAIN is missing",
+      "SHOPIFY_STOREFRONT_TOKEN is missing",
+      "SHOPIFY_ADMIN_API_TOKEN is missing",
+      "ALLOWED_ORIGINS is missing",
+    ]);
+  });
+
+  it("reports malformed values", () => {
+    const problems = checkConfig({
+      ...VALID_ENV,
+      SHOPIFY_DOMAIN: "https://acme.myshopify.com/",
+      SHOPIFY_API_VERSION: "latest",
+      ALLOWED_ORIGINS: "https://acme.com/,http://localhost:3000,acme.com",
+      SHOPIFY_TIMEOUT_MS: "soon",
+      LOG_LEVEL: "loud",
+    });
+    assert.equal(problems.length, 5);
+    assert.match(problems[0], /^SHOPIFY_DOMAIN must be a bare hostname/);
+    assert.match(problems[1], /^SHOPIFY_API_VERSION invalid version "latest"/);
+    assert.equal(
+      problems[2],
+      "ALLOWED_ORIGINS not origins: https://acme.com/, acme.com"
+    );
+    assert.equal(
+      problems[3],
+      "SHOPIFY_TIMEOUT_MS must be a non-negative integer"
+    );
+    assert.match(problems[4], /^LOG_LEVEL must be one of/);
+  });
+
+  it("checks RATE_LIMITS overrides", () => {
+    assert.deepEqual(
+      checkConfig({
+        ...VALID_ENV,
+        RATE_LIMITS: JSON.stringify({
+          login: { ip: { limit: 10, windowSec: 60 }, email: { limit: 0 } },
+          cart: { session: { limit: 1, windowSec: 1 } },
+        }),
+      }),
+      [
+        "RATE_LIMITS login.email must be ip|email with a positive integer limit and windowSec",
+        "RATE_LIMITS cart.session must be ip|email with a positive integer limit and windowSec",
+      ]
+    );
+    assert.match(
+      checkConfig({ ...VALID_ENV, RATE_LIMITS: "{" })[0],
+      /^RATE_LIMITS is not valid JSON/
+    );
+  });
+
+  it("checks every entry of a store registry", () => {
+    const problems = checkConfig({
+      SHOPIFY_STORES: JSON.stringify([
+        { id: "us", domain: "us.myshopify.com", storefrontToken: "t" },
+        { id: "EU", storefrontToken: "t" },
+        { id: "us", domain: "us2.myshopify.com" },
+      ]),
+    });
+    assert.deepEqual(problems, [
+      'store #2 (EU): "id" must be a lowercase slug',
+      'store #2 (EU): "domain" is missing',
+      'store #3 (us): "storefrontToken" is missing',
+      'Duplicate store id "us"',
+    ]);
+  });
+
+  it("reports an unreadable store registry", () => {
+    const [problem] = checkConfig({ SHOPIFY_STORES: "[{" });
+    assert.match(problem, /^SHOPIFY_STORES could not be read/);
+  });
+});
+
+describe("assertConfig", () => {
+  it("throws a ConfigError listing the problems", () => {
+    assert.throws(
+      () => assertConfig({ ...VALID_ENV, SHOPIFY_STOREFRONT_TOKEN: "" }),
+      (err) =>
+        err instanceof ConfigError &&
+        err.problems.length === 1 &&
+        err.message.includes("  - SHOPIFY_STOREFRONT_TOKEN is missing")
+    );
+  });
+});
@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+const { MISSING } = require("./fixtures");
+const { reply } = require("./helpers/mockShopify");
+
+const HOME_LAYOUT = [
+  { id: "featured", type: "collection", handle: "frontpage", limit: 2 },
+  { id: "new", type: "newArrivals", limit: 1 },
+  { id: "picks", type: "products", handles: ["product-3", MISSING] },
+  { id: "nav", type: "menu", handle: "main-menu" },
+];
+
+let api;
+before(async () => {
+  api = await startApp({ HOME_LAYOUT: JSON.stringify(HOME_LAYOUT) });
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+describe("GET /api/pages/home", () => {
+  it("composes every layout section", async () => {
+    const res = await api.get("/api/pages/home");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.partial, false);
+    const sections = Object.fromEntries(
+      res.body.sections.map((section) => [section.id, section])
+    );
+    assert.deepEqual(
+      res.body.sections.map((section) => section.status),
+      ["ok", "ok", "ok", "ok"]
+    );
+    assert.equal(sections.featured.data.collection.handle, "frontpage");
+    assert.equal(sections.featured.data.products.length, 2);
+    assert.equal(sections.new.data.products.length, 1);
+    assert.deepEqual(
+      sections.picks.data.products.map((p) => p.handle),
+      ["product-3"]
+    );
+    assert.equal(sections.nav.data.menu.items[0].url, "/collections/all");
+    assert.match(res.headers.get("cache-control"), /max-age=120/);
+  });
+
+  it("reports a failing section without failing the page", async () => {
+    api.shopify.on("NewArrivals", () => reply({ status: 500 }));
+    const res = await api.get("/api/pages/home");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.partial, true);
+    const failed = res.body.sections.find((section) => section.id === "new");
+    assert.equal(failed.status, "error");
+    assert.equal(failed.error.code, "UPSTREAM_ERROR");
+    assert.equal(res.body.sections[0].status, "ok");
+    assert.equal(res.headers.get("cache-control"), "public, max-age=10");
+  });
+
+  it("is cached as a unit", async () => {
+    await api.get("/api/pages/home");
+    const calls = api.shopify.calls.length;
+    await api.get("/api/pages/home");
+    assert.equal(api.shopify.calls.length, calls);
+  });
+});
+
+describe("GET /api/menus/:handle", () => {
+  it("resolves nested items to internal URLs", async () => {
+    const res = await api.get("/api/menus/main-menu");
+    assert.equal(res.status, 200);
+    const [shop] = res.body.items;
+    assert.equal(shop.url, "/collections/all");
+    assert.equal(shop.external, false);
+    assert.deepEqual(shop.items[0], {
+      id: "gid://shopify/MenuItem/2",
+      title: "Instagram",
+      resourceId: null,
+      type: "HTTP",
+      url: "https://instagram.com/acme",
+      external: true,
+      items: [],
+    });
+  });
+
+  it("returns 404 for unknown menus", async () => {
+    const res = await api.get(`/api/menus/${MISSING}`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("GET /api/pages/:handle", () => {
+  it("returns the page", async () => {
+    const res = await api.get("/api/pages/about");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.title, "About us");
+  });
+
+  it("returns 404 for unknown pages", async () => {
+    const res = await api.get(`/api/pages/${MISSING}`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("blogs and articles", () => {
+  it("GET /api/blogs/:handle/articles paginates and filters by tag", async () => {
+    const res = await api.get("/api/blogs/news/articles?first=2&tag=recipes");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.blog.handle, "news");
+    assert.equal(res.body.articles.length, 2);
+    assert.equal(res.body.articles[0].author, "Ada");
+    assert.equal(res.body.articles[0].authorV2, undefined);
+    assert.equal(res.body.pageInfo.hasNextPage, true);
+    const { variables } = api.shopify.callsTo("BlogArticles")[0];
+    assert.equal(variables.query, 'tag:"recipes"');
+  });
+
+  it("GET /api/blogs/:handle/articles returns 404 for unknown blogs", async () => {
+    const res = await api.get(`/api/blogs/${MISSING}/articles`);
+    assert.equal(res.status, 404);
+  });
+
+  it("GET /api/articles/:handle reads the news blog by default", async () => {
+    const res = await api.get("/api/articles/hello");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.handle, "hello");
+    assert.equal(api.shopify.callsTo("Article")[0].variables.blog, "news");
+  });
+
+  it("GET /api/articles/:handle returns 404 for unknown articles", async () => {
+    const res = await api.get(`/api/articles/${MISSING}?blog=journal`);
+    assert.equal(res.status, 404);
+  });
+});
+
+describe("policies", () => {
+  it("GET /api/policies lists the shop policies", async () => {
+    const res = await api.get("/api/policies");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.privacyPolicy.title, "Privacy policy");
+    assert.equal(res.body.shippingPolicy, null);
+  });
+
+  it("GET /api/policies/:handle returns one policy", async () => {
+    const res = await api.get("/api/policies/refund-policy");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.handle, "refund-policy");
+  });
+
+  it("GET /api/policies/:handle returns 404 for unpublished policies", async () => {
+    const res = await api.get("/api/policies/shipping-policy");
+    assert.equal(res.status, 404);
+  });
+});
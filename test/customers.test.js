@@ -0,0 +1,336 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, bearer } = require("./helpers/app");
+const { TOKEN, ADDRESS, CUSTOMER } = require("./fixtures");
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+const ADDRESS_PATH = `/api/me/addresses/${encodeURIComponent(ADDRESS.id)}`;
+
+describe("authentication", () => {
+  it("POST /api/login returns an access token", async () => {
+    const res = await api.post("/api/login", {
+      email: "ada@example.com",
+      password: "secret",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accessToken, TOKEN);
+    assert.deepEqual(api.shopify.callsTo("Login")[0].variables.input, {
+      email: "ada@example.com",
+      password: "secret",
+    });
+  });
+
+  it("POST /api/login answers bad credentials with a 401", async () => {
+    api.shopify.on("Login", () => ({
+      customerAccessTokenCreate: {
+        customerAccessToken: null,
+        customerUserErrors: [
+          {
+            code: "UNIDENTIFIED_CUSTOMER",
+            field: ["input", "password"],
+            message: "Unidentified customer",
+          },
+        ],
+      },
+    }));
+    const res = await api.post("/api/login", {
+      email: "ada@example.com",
+      password: "wrong",
+    });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, "UNAUTHORIZED");
+    // The status depends on the error code – it must be selected
+    assert.match(
+      api.shopify.callsTo("Login")[0].query,
+      /customerUserErrors\s*\{\s*code/
+    );
+    assert.deepEqual(res.body.details, [
+      {
+        field: "password",
+        code: "UNIDENTIFIED_CUSTOMER",
+        message: "Unidentified customer",
+      },
+    ]);
+  });
+
+  it("POST /api/login validates the body", async () => {
+    const res = await api.post("/api/login", { email: "nope" });
+    assert.equal(res.status, 422);
+    assert.deepEqual(res.body.details.map((d) => d.field).sort(), [
+      "email",
+      "password",
+    ]);
+  });
+
+  it("POST /api/logout deletes the token", async () => {
+    const res = await api.post("/api/logout", undefined, {
+      headers: bearer(TOKEN),
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true });
+    assert.equal(api.shopify.callsTo("Logout").length, 1);
+  });
+
+  it("POST /api/token/renew exchanges a valid token", async () => {
+    const res = await api.post("/api/token/renew", undefined, {
+      headers: bearer(TOKEN),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.accessToken, TOKEN);
+  });
+
+  it("POST /api/token/renew rejects expired tokens", async () => {
+    const res = await api.post("/api/token/renew", undefined, {
+      headers: bearer("expired"),
+    });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, "UNAUTHORIZED");
+  });
+
+  it("rejects protected routes without a token", async () => {
+    for (const path of ["/api/me", "/api/me/addresses", "/api/orders"]) {
+      const res = await api.get(path);
+      assert.equal(res.status, 401, path);
+      assert.equal(res.body.error, "Missing customer access token");
+    }
+  });
+
+  it("rejects protected routes with an invalid token", async () => {
+    const res = await api.get("/api/me", { headers: bearer("invalid") });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, "Invalid or expired customer access token");
+  });
+});
+
+describe("account", () => {
+  it("POST /api/register creates a customer", async () => {
+    const res = await api.post("/api/register", {
+      email: "new@example.com",
+      password: "secret",
+      firstName: "New",
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.email, "new@example.com");
+  });
+
+  it("POST /api/register surfaces userErrors with form field names", async () => {
+    api.shopify.on("Register", () => ({
+      customerCreate: {
+        customer: null,
+        customerUserErrors: [
+          {
+            code: "TAKEN",
+            field: ["input", "email"],
+            message: "Email has already been taken",
+          },
+        ],
+      },
+    }));
+    const res = await api.post("/api/register", {
+      email: "ada@example.com",
+      password: "secret",
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "USER_ERROR");
+    assert.equal(res.body.details[0].field, "email");
+    assert.equal(res.body.details[0].code, "TAKEN");
+  });
+
+  it("GET /api/me returns the customer with unwrapped addresses", async () => {
+    const res = await api.get("/api/me", { headers: bearer(TOKEN) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.email, CUSTOMER.email);
+    assert.deepEqual(res.body.addresses, [ADDRESS]);
+  });
+
+  it("PATCH /api/me returns the new token after a password change", async () => {
+    const res = await api.patch(
+      "/api/me",
+      { firstName: "Augusta", password: "new-secret" },
+      { headers: bearer(TOKEN) }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.firstName, "Augusta");
+    assert.equal(res.body.customerAccessToken.accessToken, TOKEN);
+  });
+
+  it("PATCH /api/me stops accepting the token a password change revoked", async () => {
+    assert.equal(
+      (await api.get("/api/me", { headers: bearer(TOKEN) })).status,
+      200
+    );
+    await api.patch(
+      "/api/me",
+      { password: "new-secret" },
+      { headers: bearer(TOKEN) }
+    );
+    api.shopify.on("Session", () => ({ customer: null }));
+    const res = await api.get("/api/me", { headers: bearer(TOKEN) });
+    assert.equal(res.status, 401);
+  });
+
+  it("GET /api/me/addresses flags the default address", async () => {
+    const res = await api.get("/api/me/addresses", { headers: bearer(TOKEN) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body[0].isDefault, true);
+  });
+
+  it("POST /api/me/addresses creates and optionally defaults", async () => {
+    const res = await api.post(
+      "/api/me/addresses",
+      { address1: "2 Side St", city: "Paris", isDefault: true },
+      { headers: bearer(TOKEN) }
+    );
+    assert.equal(res.status, 201);
+    assert.equal(res.body.address1, "2 Side St");
+    assert.equal(res.body.isDefault, true);
+    assert.equal(api.shopify.callsTo("DefaultAddress").length, 1);
+    assert.equal(
+      api.shopify.callsTo("AddressCreate")[0].variables.address.isDefault,
+      undefined
+    );
+  });
+
+  it("PATCH /api/me/addresses/:id updates an address", async () => {
+    const res = await api.patch(
+      ADDRESS_PATH,
+      { city: "Oxford" },
+      { headers: bearer(TOKEN) }
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.city, "Oxford");
+  });
+
+  it("DELETE /api/me/addresses/:id deletes an address", async () => {
+    const res = await api.delete(ADDRESS_PATH, { headers: bearer(TOKEN) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.deletedId, ADDRESS.id);
+  });
+
+  it("POST /api/me/addresses/:id/default sets the default", async () => {
+    const res = await api.post(`${ADDRESS_PATH}/default`, undefined, {
+      headers: bearer(TOKEN),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.isDefault, true);
+  });
+
+  it("rejects malformed address ids", async () => {
+    const res = await api.delete("/api/me/addresses/42", {
+      headers: bearer(TOKEN),
+    });
+    assert.equal(res.status, 422);
+  });
+
+  it("POST /api/password/recover always answers ok", async () => {
+    const res = await api.post("/api/password/recover", {
+      email: "ada@example.com",
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true });
+  });
+
+  it("POST /api/password/reset accepts a reset URL", async () => {
+    const res = await api.post("/api/password/reset", {
+      resetUrl: "https://shop.example.com/account/reset/1/abc",
+      password: "new-secret",
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.customerAccessToken.accessToken, TOKEN);
+    assert.equal(api.shopify.callsTo("ResetByUrl").length, 1);
+  });
+
+  it("POST /api/password/reset accepts an id and token pair", async () => {
+    const res = await api.post("/api/password/reset", {
+      id: CUSTOMER.id,
+      resetToken: "abc",
+      password: "new-secret",
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(api.shopify.callsTo("Reset")[0].variables.input, {
+      resetToken: "abc",
+      password: "new-secret",
+    });
+  });
+
+  it("POST /api/password/reset needs a URL or an id and token", async () => {
+    const res = await api.post("/api/password/reset", {
+      password: "new-secret",
+    });
+    assert.equal(res.status, 422);
+    assert.equal(res.body.details[0].field, "resetUrl");
+  });
+
+  it("POST /api/activate accepts an activation URL or token", async () => {
+    const byUrl = await api.post("/api/activate", {
+      activationUrl: "https://shop.example.com/account/activate/1/abc",
+      password: "secret",
+    });
+    const byToken = await api.post("/api/activate", {
+      id: CUSTOMER.id,
+      activationToken: "abc",
+      password: "secret",
+    });
+    assert.equal(byUrl.status, 200);
+    assert.equal(byToken.status, 200);
+    assert.equal(api.shopify.callsTo("ActivateByUrl").length, 1);
+    assert.equal(api.shopify.callsTo("Activate").length, 1);
+  });
+});
+
+describe("orders", () => {
+  it("GET /api/orders paginates newest first", async () => {
+    const res = await api.get("/api/orders?first=2", {
+      headers: bearer(TOKEN),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.orders.length, 2);
+    assert.equal(res.body.pageInfo.hasNextPage, true);
+    assert.equal(res.body.orders[0].cursor, "c0");
+  });
+
+  it("GET /api/orders filters by date and fulfillment status", async () => {
+    const res = await api.get(
+      "/api/orders?from=2024-01-01&fulfillmentStatus=fulfilled",
+      { headers: bearer(TOKEN) }
+    );
+    assert.deepEqual(
+      res.body.orders.map((o) => o.name),
+      ["#1001"]
+    );
+    assert.equal(
+      api.shopify.callsTo("Orders")[0].variables.query,
+      "processed_at:>=2024-01-01"
+    );
+  });
+
+  it("GET /api/orders/:id returns the customer's order", async () => {
+    const res = await api.get("/api/orders/1", { headers: bearer(TOKEN) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.name, "#1001");
+    assert.equal(res.body.lineItems.length, 1);
+    assert.deepEqual(res.body.discounts, []);
+  });
+
+  it("GET /api/orders/:id hides other customers' orders", async () => {
+    api.shopify.on("OrderDetail", () => ({
+      node: {
+        id: "gid://shopify/Order/9",
+        email: "someone@example.com",
+      },
+    }));
+    const res = await api.get("/api/orders/9", { headers: bearer(TOKEN) });
+    assert.equal(res.status, 404);
+  });
+
+  it("GET /api/orders/:id returns 404 for unknown orders", async () => {
+    const res = await api.get("/api/orders/5", { headers: bearer(TOKEN) });
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+const { reply } = require("./helpers/mockShopify");
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+describe("error handling", () => {
+  it("answers unknown routes with a 404 and the request ID", async () => {
+    const res = await api.get("/api/nope", {
+      headers: { "X-Request-Id": "req-123" },
+    });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, "NOT_FOUND");
+    assert.equal(res.body.requestId, "req-123");
+    assert.equal(res.headers.get("x-request-id"), "req-123");
+  });
+
+  it("rejects malformed JSON bodies", async () => {
+    const res = await api.post("/api/login", '{"email":');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_JSON");
+  });
+
+  it("maps Shopify 5xx responses to 502", async () => {
+    api.shopify.on("Products", () => reply({ status: 503 }));
+    const res = await api.get("/api/products");
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, "UPSTREAM_ERROR");
+  });
+
+  it("never lets caches store error responses", async () => {
+    api.shopify.on("Products", () => reply({ status: 503 }));
+    const failed = await api.get("/api/products");
+    assert.equal(failed.status, 502);
+    assert.equal(failed.headers.get("cache-control"), "no-store");
+    const missing = await api.get("/api/products/no-such-product");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.headers.get("cache-control"), "no-store");
+  });
+
+  it("maps GraphQL errors to 502", async () => {
+    api.shopify.on("Products", () =>
+      reply({ body: { errors: [{ message: "Field 'x' doesn't exist" }] } })
+    );
+    const res = await api.get("/api/products");
+    assert.equal(res.status, 502);
+  });
+
+  it("maps throttling to 429 with Retry-After", async () => {
+    api.shopify.on("Products", () =>
+      reply({ status: 429, headers: { "Retry-After": "3" } })
+    );
+    const res = await api.get("/api/products");
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, "THROTTLED");
+    assert.equal(res.headers.get("retry-after"), "3");
+  });
+
+  it("maps slow Shopify responses to 504", async () => {
+    api.shopify.on(
+      "Products",
+      () => new Promise((resolve) => setTimeout(() => resolve({}), 2500))
+    );
+    const res = await api.get("/api/products");
+    assert.equal(res.status, 504);
+    assert.equal(res.body.code, "UPSTREAM_TIMEOUT");
+  });
+
+  it("sends the store's tokens to the injected endpoints", async () => {
+    await api.get("/api/products?status=active");
+    const [storefront] = api.shopify.callsTo("Products");
+    const [admin] = api.shopify.callsTo("AdminProducts");
+    assert.equal(
+      storefront.headers["x-shopify-storefront-access-token"],
+      "storefront-token"
+    );
+    assert.equal(admin.headers["x-shopify-access-token"], "admin-token");
+  });
+});
@@ -0,0 +1,688 @@
+// Shopify fixtures for the integration tests
+// --------------------------------------------------------------
+// • Builders for the objects the routes read (products, collections,
+//   carts, customers…) – responses carry a superset of the selected fields.
+// • `fixtures` answers every operation the app sends by name with data
+//   derived from the variables: connections paginate for real (cursors are
+//   "c<index>"), and the handle / id "missing" resolves to null.
+// --------------------------------------------------------------
+
+const MISSING = "missing";
+const TOKEN = "customer-token";
+const CART_ID = "gid://shopify/Cart/c1?key=abc";
+
+const money = (amount, currencyCode = "USD") => ({
+  amount: String(amount),
+  currencyCode,
+});
+
+const image = (name) => ({
+  url: `https://cdn.example.com/${name}.jpg`,
+  altText: null,
+  width: 800,
+  height: 800,
+});
+
+/** Slice `items` like a Relay connection (first/after, last/before). */
+function connection(items, { first, last, after, before } = {}) {
+  const index = (cursor) => Number(String(cursor).slice(1));
+  let start = after ? index(after) + 1 : 0;
+  let end = before ? index(before) : items.length;
+  if (first !== undefined && first !== null) end = Math.min(end, start + first);
+  if (last !== undefined && last !== null) start = Math.max(start, end - last);
+  const edges = items
+    .slice(start, end)
+    .map((node, i) => ({ cursor: `c${start + i}`, node }));
+  return {
+    pageInfo: {
+      hasNextPage: end < items.length,
+      hasPreviousPage: start > 0,
+      startCursor: edges[0]?.cursor || null,
+      endCursor: edges[edges.length - 1]?.cursor || null,
+    },
+    edges,
+    nodes: edges.map((edge) => edge.node),
+  };
+}
+
+function variant(n, v = 1) {
+  return {
+    id: `gid://shopify/ProductVariant/${n}0${v}`,
+    title: v === 1 ? "Small" : "Large",
+    sku: `SKU-${n}-${v}`,
+    availableForSale: true,
+    currentlyNotInStock: false,
+    quantityAvailable: 5,
+    price: money(10 * n),
+    compareAtPrice: money(12 * n),
+    selectedOptions: [{ name: "Size", value: v === 1 ? "Small" : "Large" }],
+    image: image(`product-${n}-${v}`),
+  };
+}
+
+function product(n) {
+  const variants = [variant(n, 1), variant(n, 2)];
+  return {
+    id: `gid://shopify/Product/${n}`,
+    handle: `product-${n}`,
+    title: `Product ${n}`,
+    description: `Description ${n}`,
+    descriptionHtml: `<p>Description ${n}</p>`,
+    vendor: "Acme",
+    productType: "Shirt",
+    tags: [`tag-${n}`],
+    availableForSale: true,
+    createdAt: `2024-01-0${n}T00:00:00Z`,
+    updatedAt: `2024-02-0${n}T00:00:00Z`,
+    seo: { title: null, description: null },
+    options: [
+      {
+        id: `gid://shopify/ProductOption/${n}`,
+        name: "Size",
+        values: ["Small", "Large"],
+      },
+    ],
+    priceRange: {
+      minVariantPrice: money(10 * n),
+      maxVariantPrice: money(10 * n),
+    },
+    compareAtPriceRange: {
+      minVariantPrice: money(12 * n),
+      maxVariantPrice: money(12 * n),
+    },
+    featuredImage: image(`product-${n}`),
+    images: connection([image(`product-${n}`)]),
+    media: {
+      nodes: [
+        {
+          id: `gid://shopify/MediaImage/${n}`,
+          mediaContentType: "IMAGE",
+          alt: null,
+          previewImage: image(`product-${n}`),
+          image: image(`product-${n}`),
+        },
+      ],
+    },
+    variants: connection(variants),
+    collections: { nodes: [{ id: "gid://shopify/Collection/1" }] },
+    metafield_moneyPrice: null,
+  };
+}
+
+const PRODUCTS = [1, 2, 3].map(product);
+
+function collection(n, products = PRODUCTS) {
+  return {
+    id: `gid://shopify/Collection/${n}`,
+    handle: `collection-${n}`,
+    title: `Collection ${n}`,
+    description: `Collection ${n}`,
+    descriptionHtml: `<p>Collection ${n}</p>`,
+    updatedAt: "2024-01-01T00:00:00Z",
+    image: image(`collection-${n}`),
+    seo: { title: null, description: null },
+    products: {
+      ...connection(products),
+      filters: [
+        {
+          id: "filter.v.availability",
+          label: "Availability",
+          type: "LIST",
+          values: [
+            {
+              id: "filter.v.availability.1",
+              label: "In stock",
+              count: products.length,
+              input: '{"available":true}',
+            },
+          ],
+        },
+      ],
+    },
+  };
+}
+
+const ADDRESS = {
+  id: "gid://shopify/MailingAddress/1?model_name=CustomerAddress",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  company: null,
+  address1: "1 Main St",
+  address2: null,
+  city: "London",
+  province: null,
+  provinceCode: null,
+  country: "United Kingdom",
+  countryCodeV2: "GB",
+  zip: "N1 1AA",
+  phone: null,
+  formatted: ["1 Main St", "London N1 1AA", "United Kingdom"],
+};
+
+const CUSTOMER = {
+  id: "gid://shopify/Customer/1",
+  email: "ada@example.com",
+  firstName: "Ada",
+  lastName: "Lovelace",
+  displayName: "Ada Lovelace",
+  phone: null,
+  acceptsMarketing: false,
+  createdAt: "2024-01-01T00:00:00Z",
+  defaultAddress: ADDRESS,
+  addresses: connection([ADDRESS]),
+};
+
+const ACCESS_TOKEN = {
+  accessToken: TOKEN,
+  expiresAt: "2030-01-01T00:00:00Z",
+};
+
+function order(n, extra = {}) {
+  return {
+    id: `gid://shopify/Order/${n}`,
+    name: `#100${n}`,
+    orderNumber: 1000 + n,
+    email: CUSTOMER.email,
+    processedAt: "2024-03-01T00:00:00Z",
+    canceledAt: null,
+    cancelReason: null,
+    financialStatus: "PAID",
+    fulfillmentStatus: n === 1 ? "FULFILLED" : "UNFULFILLED",
+    statusUrl: `https://shop.example.com/orders/${n}`,
+    currencyCode: "USD",
+    totalPrice: money(30),
+    subtotalPrice: money(25),
+    totalTax: money(5),
+    totalShippingPrice: money(0),
+    totalRefunded: money(0),
+    discountApplications: connection([]),
+    shippingAddress: ADDRESS,
+    successfulFulfillments: [],
+    lineItems: connection([
+      {
+        title: "Product 1",
+        quantity: 1,
+        currentQuantity: 1,
+        originalTotalPrice: money(10),
+        discountedTotalPrice: money(10),
+        discountAllocations: [],
+        variant: { ...variant(1), product: { handle: "product-1" } },
+      },
+    ]),
+    ...extra,
+  };
+}
+
+/** A cart holding `lines` ({ merchandiseId, quantity }). */
+function cart(lines = [], extra = {}) {
+  return {
+    id: CART_ID,
+    checkoutUrl: "https://shop.example.com/cart/c/c1",
+    totalQuantity: lines.reduce((sum, line) => sum + (line.quantity || 1), 0),
+    note: null,
+    createdAt: "2024-01-01T00:00:00Z",
+    updatedAt: "2024-01-01T00:00:00Z",
+    attributes: [],
+    buyerIdentity: {
+      email: null,
+      phone: null,
+      countryCode: "US",
+      customer: null,
+    },
+    discountCodes: [],
+    discountAllocations: [],
+    cost: {
+      subtotalAmount: money(10),
+      totalTaxAmount: null,
+      totalDutyAmount: null,
+      totalAmount: money(10),
+      checkoutChargeAmount: money(10),
+    },
+    lines: connection(
+      lines.map((line, i) => ({
+        id: `gid://shopify/CartLine/${i + 1}?cart=c1`,
+        quantity: line.quantity || 1,
+        attributes: [],
+        cost: {
+          amountPerQuantity: money(10),
+          compareAtAmountPerQuantity: null,
+          subtotalAmount: money(10),
+          totalAmount: money(10),
+        },
+        discountAllocations: [],
+        merchandise: {
+          id: line.merchandiseId,
+          title: "Small",
+          price: money(10),
+        },
+      }))
+    ),
+    ...extra,
+  };
+}
+
+const bySlug = (items, handle) =>
+  items.find((item) => item.handle === handle) || null;
+
+const cartPayload = (
+  field,
+  data = cart([{ merchandiseId: variant(1).id }])
+) => ({
+  [field]: { cart: data, userErrors: [] },
+});
+
+const fixtures = {
+  // Catalogue
+  Products: (vars) => ({ products: connection(PRODUCTS, vars) }),
+  Search: (vars) => ({
+    search: {
+      totalCount: PRODUCTS.length,
+      productFilters: collection(1).products.filters,
+      ...connection(PRODUCTS, vars),
+    },
+  }),
+  SearchProducts: (vars) => ({ products: connection(PRODUCTS, vars) }),
+  SearchFacets: () => ({
+    search: {
+      totalCount: PRODUCTS.length,
+      productFilters: collection(1).products.filters,
+    },
+  }),
+  ProductByHandle: ({ handle, withSelected, variantsFirst, variantsAfter }) => {
+    const found = bySlug(PRODUCTS, handle);
+    if (!found) return { product: null };
+    return {
+      product: {
+        ...found,
+        variants: connection(found.variants.nodes, {
+          first: variantsFirst,
+          after: variantsAfter,
+        }),
+        ...(withSelected && { selectedVariant: found.variants.nodes[1] }),
+      },
+    };
+  },
+  RecommendationSource: ({ handle }) => ({
+    product: bySlug(PRODUCTS, handle),
+  }),
+  Recommendations: ({ productId }) => ({
+    productRecommendations: PRODUCTS.filter((p) => p.id !== productId),
+  }),
+  CollectionFallback: () => ({ collection: collection(1) }),
+  TagFallback: () => ({ products: connection(PRODUCTS) }),
+  AllCollections: () => ({
+    collections: connection([
+      collection(1),
+      collection(2, PRODUCTS.slice(0, 1)),
+    ]),
+  }),
+  CollectionByHandle: ({ handle, ...vars }) => {
+    const found = bySlug([collection(1), collection(2)], handle);
+    if (!found) return { collection: null };
+    return {
+      collection: {
+        ...found,
+        products: { ...found.products, ...connection(PRODUCTS, vars) },
+      },
+    };
+  },
+  Localization: () => {
+    const english = { isoCode: "EN", name: "English", endonymName: "English" };
+    const country = (isoCode, currency) => ({
+      isoCode,
+      name: isoCode,
+      currency: { isoCode: currency, name: currency, symbol: "$" },
+      availableLanguages: [english],
+    });
+    return {
+      localization: {
+        country: country("US", "USD"),
+        language: english,
+        availableCountries: [
+          country("US", "USD"),
+          country("CA", "CAD"),
+          country("PR", "USD"),
+        ],
+        availableLanguages: [english],
+      },
+    };
+  },
+
+  // Admin enrichment
+  // `mf0` is the first requested metafield: set on product 1 only
+  AdminProducts: ({ ids }, { query }) => ({
+    nodes: ids.map((id) => ({
+      id,
+      status: id.endsWith("/3") ? "DRAFT" : "ACTIVE",
+      totalInventory: id.endsWith("/2") ? 0 : 5,
+      tracksInventory: true,
+      ...(query.includes("mf0:") && {
+        mf0: id.endsWith("/1") ? { value: "new" } : null,
+      }),
+    })),
+  }),
+
+  // Content
+  Menu: ({ handle }) => ({
+    shop: { primaryDomain: { host: "shop.example.com" } },
+    menu:
+      handle === MISSING
+        ? null
+        : {
+            id: "gid://shopify/Menu/1",
+            handle,
+            title: "Main menu",
+            items: [
+              {
+                id: "gid://shopify/MenuItem/1",
+                title: "Shop",
+                url: "https://shop.example.com/collections/all",
+                type: "CATALOG",
+                resourceId: null,
+                items: [
+                  {
+                    id: "gid://shopify/MenuItem/2",
+                    title: "Instagram",
+                    url: "https://instagram.com/acme",
+                    type: "HTTP",
+                    resourceId: null,
+                    items: [],
+                  },
+                ],
+              },
+            ],
+          },
+  }),
+  HomeCollection: ({ handle, first }) => ({
+    collection:
+      handle === MISSING
+        ? null
+        : {
+            ...collection(1),
+            handle,
+            products: connection(PRODUCTS, { first }),
+          },
+  }),
+  NewArrivals: ({ first }) => ({ products: connection(PRODUCTS, { first }) }),
+  HomeProducts: (vars) =>
+    Object.fromEntries(
+      Object.entries(vars)
+        .filter(([name]) => /^h\d+$/.test(name))
+        .map(([name, handle]) => [
+          `p${name.slice(1)}`,
+          bySlug(PRODUCTS, handle),
+        ])
+    ),
+  Page: ({ handle }) => ({
+    page:
+      handle === MISSING
+        ? null
+        : {
+            id: "gid://shopify/Page/1",
+            handle,
+            title: "About us",
+            body: "<p>About</p>",
+            bodySummary: "About",
+            createdAt: "2024-01-01T00:00:00Z",
+            updatedAt: "2024-01-01T00:00:00Z",
+            seo: { title: null, description: null },
+          },
+  }),
+  BlogArticles: ({ handle, ...vars }) => {
+    if (handle === MISSING) return { blog: null };
+    const articles = [1, 2, 3].map((n) => ({
+      id: `gid://shopify/Article/${n}`,
+      handle: `article-${n}`,
+      title: `Article ${n}`,
+      excerpt: null,
+      publishedAt: "2024-01-01T00:00:00Z",
+      tags: [],
+      image: null,
+      authorV2: { name: "Ada" },
+    }));
+    return {
+      blog: {
+        id: "gid://shopify/Blog/1",
+        handle,
+        title: "News",
+        articles: connection(articles, vars),
+      },
+    };
+  },
+  Article: ({ blog, handle }) => ({
+    blog:
+      blog === MISSING
+        ? null
+        : {
+            articleByHandle:
+              handle === MISSING
+                ? null
+                : {
+                    id: "gid://shopify/Article/1",
+                    handle,
+                    title: "Article",
+                    excerpt: null,
+                    publishedAt: "2024-01-01T00:00:00Z",
+                    tags: [],
+                    image: null,
+                    authorV2: { name: "Ada" },
+                    contentHtml: "<p>Hello</p>",
+                    seo: { title: null, description: null },
+                    blog: { handle: blog, title: "News" },
+                  },
+          },
+  }),
+  Policies: () => {
+    const policy = (handle, title) => ({
+      id: `gid://shopify/ShopPolicy/${handle}`,
+      handle,
+      title,
+      body: `<p>${title}</p>`,
+      url: `https://shop.example.com/policies/${handle}`,
+    });
+    return {
+      shop: {
+        privacyPolicy: policy("privacy-policy", "Privacy policy"),
+        refundPolicy: policy("refund-policy", "Refund policy"),
+        shippingPolicy: null,
+        termsOfService: policy("terms-of-service", "Terms of service"),
+      },
+    };
+  },
+
+  // Customers – only TOKEN is a valid access token
+  Session: ({ token }) => ({ customer: token === TOKEN ? CUSTOMER : null }),
+  Login: () => ({
+    customerAccessTokenCreate: {
+      customerAccessToken: ACCESS_TOKEN,
+      customerUserErrors: [],
+    },
+  }),
+  Logout: ({ token }) => ({
+    customerAccessTokenDelete: { deletedAccessToken: token, userErrors: [] },
+  }),
+  // Like Shopify: unknown tokens are a userError without a code
+  Renew: ({ token }) => ({
+    customerAccessTokenRenew:
+      token === TOKEN
+        ? { customerAccessToken: ACCESS_TOKEN, userErrors: [] }
+        : {
+            customerAccessToken: null,
+            userErrors: [
+              {
+                field: ["customerAccessToken"],
+                message: "Customer access token does not exist",
+              },
+            ],
+          },
+  }),
+  Register: ({ input }) => ({
+    customerCreate: {
+      customer: { ...CUSTOMER, email: input.email },
+      customerUserErrors: [],
+    },
+  }),
+  Me: ({ token }) => ({ customer: token === TOKEN ? CUSTOMER : null }),
+  UpdateMe: ({ customer }) => ({
+    customerUpdate: {
+      customer: { ...CUSTOMER, ...customer },
+      customerAccessToken: customer.password ? ACCESS_TOKEN : null,
+      customerUserErrors: [],
+    },
+  }),
+  Addresses: () => ({ customer: CUSTOMER }),
+  AddressCreate: ({ address }) => ({
+    customerAddressCreate: {
+      customerAddress: { ...ADDRESS, ...address },
+      customerUserErrors: [],
+    },
+  }),
+  AddressUpdate: ({ id, address }) => ({
+    customerAddressUpdate: {
+      customerAddress: { ...ADDRESS, ...address, id },
+      customerUserErrors: [],
+    },
+  }),
+  AddressDelete: ({ id }) => ({
+    customerAddressDelete: {
+      deletedCustomerAddressId: id,
+      customerUserErrors: [],
+    },
+  }),
+  DefaultAddress: ({ addressId }) => ({
+    customerDefaultAddressUpdate: {
+      customer: { defaultAddress: { ...ADDRESS, id: addressId } },
+      customerUserErrors: [],
+    },
+  }),
+  Recover: () => ({ customerRecover: { customerUserErrors: [] } }),
+  ResetByUrl: () => ({
+    customerReset: {
+      customer: CUSTOMER,
+      customerAccessToken: ACCESS_TOKEN,
+      customerUserErrors: [],
+    },
+  }),
+  Reset: () => ({
+    customerReset: {
+      customer: CUSTOMER,
+      customerAccessToken: ACCESS_TOKEN,
+      customerUserErrors: [],
+    },
+  }),
+  ActivateByUrl: () => ({
+    customerActivate: {
+      customer: CUSTOMER,
+      customerAccessToken: ACCESS_TOKEN,
+      customerUserErrors: [],
+    },
+  }),
+  Activate: () => ({
+    customerActivate: {
+      customer: CUSTOMER,
+      customerAccessToken: ACCESS_TOKEN,
+      customerUserErrors: [],
+    },
+  }),
+  Orders: (vars) => ({
+    customer: { orders: connection([order(1), order(2), order(3)], vars) },
+  }),
+  OrderDetail: ({ id }) => ({
+    node: id === "gid://shopify/Order/1" ? order(1) : null,
+  }),
+
+  // Cart
+  CartCreate: ({ input }) => ({
+    cartCreate: {
+      cart: cart(input.lines, {
+        note: input.note || null,
+        buyerIdentity: {
+          ...cart().buyerIdentity,
+          ...input.buyerIdentity,
+          customer: input.buyerIdentity?.customerAccessToken
+            ? { id: CUSTOMER.id, email: CUSTOMER.email }
+            : null,
+        },
+      }),
+      userErrors: [],
+    },
+  }),
+  Cart: ({ cartId }) => ({
+    cart: cartId === CART_ID ? cart([{ merchandiseId: variant(1).id }]) : null,
+  }),
+  CartLines: ({ cartId }) => ({
+    cart:
+      cartId === CART_ID
+        ? {
+            id: CART_ID,
+            lines: {
+              nodes: [
+                {
+                  id: "gid://shopify/CartLine/1?cart=c1",
+                  quantity: 2,
+                  attributes: [],
+                  merchandise: { id: variant(1).id },
+                  sellingPlanAllocation: null,
+                },
+              ],
+            },
+          }
+        : null,
+  }),
+  CartLinesAdd: ({ cartId, lines }) =>
+    cartPayload("cartLinesAdd", cart(lines, { id: cartId })),
+  CartLinesUpdate: () => cartPayload("cartLinesUpdate"),
+  CartLinesRemove: () => cartPayload("cartLinesRemove", cart()),
+  CartBuyerIdentityUpdate: ({ buyerIdentity }) =>
+    cartPayload(
+      "cartBuyerIdentityUpdate",
+      cart([], { buyerIdentity: { ...cart().buyerIdentity, ...buyerIdentity } })
+    ),
+  CartDiscountCodesUpdate: ({ discountCodes }) =>
+    cartPayload(
+      "cartDiscountCodesUpdate",
+      cart([], {
+        discountCodes: discountCodes.map((code) => ({
+          code,
+          applicable: true,
+        })),
+      })
+    ),
+  CartNoteUpdate: ({ note }) =>
+    cartPayload("cartNoteUpdate", cart([], { note })),
+  CartAttributesUpdate: ({ attributes }) =>
+    cartPayload("cartAttributesUpdate", cart([], { attributes })),
+
+  // Wishlist – the metafield starts empty
+  WishlistMetafield: () => ({ customer: { metafield: null } }),
+  WishlistSave: ({ metafields }) => ({
+    metafieldsSet: { metafields, userErrors: [] },
+  }),
+  WishlistProducts: ({ ids }) => ({
+    nodes: ids.map((id) => PRODUCTS.find((p) => p.id === id) || null),
+  }),
+  WishlistVariants: ({ id }) => ({
+    product: PRODUCTS.find((p) => p.id === id) || null,
+  }),
+
+  // Readiness probes
+  StorefrontReady: () => ({ shop: { name: "Acme" } }),
+  AdminReady: () => ({ shop: { name: "Acme" } }),
+};
+
+module.exports = {
+  MISSING,
+  TOKEN,
+  CART_ID,
+  CUSTOMER,
+  ADDRESS,
+  PRODUCTS,
+  money,
+  product,
+  variant,
+  collection,
+  connection,
+  cart,
+  order,
+  fixtures,
+};
@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, bearer } = require("./helpers/app");
+const { MISSING } = require("./fixtures");
+const { reply } = require("./helpers/mockShopify");
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+/** Fetch /metrics as text. */
+async function scrape() {
+  const res = await fetch(`${api.base}/metrics`, {
+    headers: bearer("metrics-token"),
+  });
+  return { res, text: await res.text() };
+}
+
+/** Value of the sample `series` (name + labels) in `text`, 0 when absent. */
+function sample(text, series) {
+  const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+}
+
+describe("GET /health", () => {
+  it("answers without calling Shopify", async () => {
+    const res = await api.get("/health");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ok");
+    assert.equal(typeof res.body.uptimeSeconds, "number");
+    assert.equal(res.headers.get("cache-control"), "no-store");
+    assert.equal(api.shopify.calls.length, 0);
+  });
+});
+
+describe("GET /ready", () => {
+  it("checks the Storefront and Admin APIs of every store", async () => {
+    const res = await api.get("/ready");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ready");
+    const { storefront, admin } = res.body.stores.default;
+    assert.equal(storefront.ok, true);
+    assert.equal(typeof storefront.latencyMs, "number");
+    assert.equal(admin.ok, true);
+    assert.equal(api.shopify.callsTo("StorefrontReady")[0].api, "storefront");
+    assert.equal(api.shopify.callsTo("AdminReady")[0].api, "admin");
+  });
+
+  it("shares one round of checks between concurrent probes", async () => {
+    const responses = await Promise.all([api.get("/ready"), api.get("/ready")]);
+    assert.deepEqual(
+      responses.map((res) => res.status),
+      [200, 200]
+    );
+    assert.equal(api.shopify.callsTo("StorefrontReady").length, 1);
+    assert.equal(api.shopify.callsTo("AdminReady").length, 1);
+  });
+
+  it("answers 503 when a check fails", async () => {
+    api.shopify.on("AdminReady", () => reply({ status: 401 }));
+    const res = await api.get("/ready");
+    assert.equal(res.status, 503);
+    assert.equal(res.body.status, "unavailable");
+    assert.equal(res.body.stores.default.storefront.ok, true);
+    assert.deepEqual(res.body.stores.default.admin.error, {
+      code: "UPSTREAM_ERROR",
+      message: "Shopify rejected the API credentials",
+    });
+  });
+});
+
+describe("GET /metrics", () => {
+  it("requires the metrics token", async () => {
+    assert.equal((await api.get("/metrics")).status, 401);
+    const res = await api.get("/metrics", { headers: bearer("wrong") });
+    assert.equal(res.status, 401);
+  });
+
+  it("counts requests by route pattern and status", async () => {
+    const ok =
+      'http_requests_total{method="GET",route="/api/products/:handle",status="200"}';
+    const notFound =
+      'http_requests_total{method="GET",route="/api/products/:handle",status="404"}';
+    const unmatched =
+      'http_requests_total{method="GET",route="unmatched",status="404"}';
+    const before = (await scrape()).text;
+    await api.get("/api/products/product-1");
+    await api.get(`/api/products/${MISSING}`);
+    await api.get("/api/nope");
+    const { res, text } = await scrape();
+    assert.match(
+      res.headers.get("content-type"),
+      /^text\/plain;.*version=0\.0\.4/
+    );
+    assert.equal(sample(text, ok), sample(before, ok) + 1);
+    assert.equal(sample(text, notFound), sample(before, notFound) + 1);
+    assert.equal(sample(text, unmatched), sample(before, unmatched) + 1);
+    assert.match(text, /# TYPE http_request_duration_seconds histogram/);
+    assert.match(
+      text,
+      /http_request_duration_seconds_bucket\{method="GET",route="\/api\/products\/:handle",le="\+Inf"\} \d+/
+    );
+  });
+
+  it("counts Shopify calls by outcome", async () => {
+    const ok =
+      'shopify_requests_total{store="default",api="storefront",operation="Products",outcome="ok"}';
+    const failed =
+      'shopify_requests_total{store="default",api="storefront",operation="Products",outcome="UPSTREAM_ERROR"}';
+    const before = (await scrape()).text;
+    await api.get("/api/products?first=1");
+    api.shopify.on("Products", () => reply({ status: 500 }));
+    await api.get("/api/products?first=2");
+    const { text } = await scrape();
+    assert.equal(sample(text, ok), sample(before, ok) + 1);
+    assert.equal(sample(text, failed), sample(before, failed) + 1);
+    assert.match(
+      text,
+      /shopify_request_duration_seconds_count\{store="default",api="storefront"\} \d+/
+    );
+  });
+});
@@ -0,0 +1,131 @@
+// Boots the Express app from index.js against the fake Shopify server
+// --------------------------------------------------------------
+//   const api = await startApp();
+//   const res = await api.get("/api/products?first=2");
+//   assert.equal(res.status, 200);
+//   api.shopify.on("Products", () => …);   // per-test fixture override
+//   await api.close();
+// Configuration is read when the app is first required, so every test
+// file (its own process under `node --test`) boots one app.
+// --------------------------------------------------------------
+
+const { startMockShopify } = require("./mockShopify");
+
+// Blank values win over a developer's .env (dotenv never overrides)
+const TEST_ENV = {
+  SHOPIFY_STORES: "",
+  SHOPIFY_STORES_FILE: "",
+  SHOPIFY_DOMAIN: "shop.example.com",
+  SHOPIFY_STOREFRONT_TOKEN: "storefront-token",
+  SHOPIFY_ADMIN_API_TOKEN: "admin-token",
+  SHOPIFY_WEBHOOK_SECRET: "webhook-secret",
+  ALLOWED_ORIGINS: "http://localhost:3000",
+  METAFIELDS: "",
+  METAFIELDS_FILE: "",
+  HOME_LAYOUT: "",
+  HOME_LAYOUT_FILE: "",
+  ADMIN_METAFIELDS: "",
+  CACHE_STORE: "memory",
+  // Fail fast: no retries, and a breaker that never opens mid-suite
+  SHOPIFY_MAX_RETRIES: "0",
+  SHOPIFY_TIMEOUT_MS: "2000",
+  SHOPIFY_BREAKER_THRESHOLD: "1000",
+  LOG_LEVEL: "silent",
+  // Fresh readiness checks per probe (concurrent ones still share one)
+  READY_CACHE_SEC: "0",
+  METRICS_TOKEN: "metrics-token",
+  RATE_LIMITS: "",
+  CART_STORE: "memory",
+  WISHLIST_STORE: "",
+  WISHLIST_METAFIELD: "",
+  LOGIN_LOCKOUT_ATTEMPTS: "",
+  LOGIN_LOCKOUT_SEC: "",
+};
+
+/**
+ * Boot the app with extra environment variables – or a function of the
+ * mock server returning them (e.g. a SHOPIFY_STORES registry pointing at
+ * its URLs).
+ */
+async function startApp(env = {}) {
+  const shopify = await startMockShopify();
+  Object.assign(process.env, TEST_ENV, {
+    SHOPIFY_STOREFRONT_ENDPOINT: shopify.storefrontUrl,
+    SHOPIFY_ADMIN_ENDPOINT: shopify.adminUrl,
+    ...(typeof env === "function" ? env(shopify) : env),
+  });
+  const app = require("../../index");
+  const { catalogueCache } = require("../../lib/cache");
+  const { sessionCache } = require("../../lib/auth");
+  const { rateLimiter } = require("../../lib/rateLimit");
+  const { savedCarts } = require("../../lib/savedCarts");
+  const { wishlists } = require("../../lib/wishlists");
+  const { createMemoryStore } = require("../../lib/kv");
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request; resolves with `{ status, headers, body }`. Object
+   * bodies are sent as JSON, strings as they are.
+   */
+  async function request(method, path, { body, headers = {} } = {}) {
+    const res = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  }
+
+  return {
+    shopify,
+    base,
+    request,
+    get: (path, options) => request("GET", path, options),
+    post: (path, body, options) => request("POST", path, { ...options, body }),
+    patch: (path, body, options) =>
+      request("PATCH", path, { ...options, body }),
+    delete: (path, options) => request("DELETE", path, options),
+
+    /**
+     * Forget fixture overrides, recorded calls, cached responses and
+     * sessions, rate limit counters, saved carts and local wishlists.
+     */
+    reset() {
+      shopify.reset();
+      catalogueCache.useStore(
+        createMemoryStore(),
+        createMemoryStore({ max: Infinity })
+      );
+      sessionCache.useStore(createMemoryStore());
+      rateLimiter.useStore(createMemoryStore());
+      savedCarts.useStore(createMemoryStore());
+      wishlists.useStore(createMemoryStore());
+    },
+
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await shopify.close();
+    },
+  };
+}
+
+/** `Authorization` header for the fixture customer (or another token). */
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = { startApp, bearer };
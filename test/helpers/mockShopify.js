@@ -0,0 +1,96 @@
+// Fake Shopify GraphQL server for the integration tests
+// --------------------------------------------------------------
+// • One local HTTP server answers both APIs:
+//     POST /storefront  (Storefront API)    POST /admin  (Admin API)
+// • Operations are answered by name (`query Products`, `mutation Login`…)
+//   from test/fixtures.js; tests override them per case:
+//     shopify.on("Login", (variables) => ({ customerAccessTokenCreate: … }))
+//   A handler returns the `data` object, or reply() for anything else
+//   (GraphQL errors, HTTP failures, cost extensions).
+// • Every call is recorded in `shopify.calls` for assertions.
+// --------------------------------------------------------------
+
+const http = require("http");
+const { fixtures } = require("../fixtures");
+
+const OPERATION = /^\s*(?:query|mutation)\s+(\w+)/;
+
+class Reply {
+  constructor({ status = 200, body, headers = {} }) {
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/** Raw response for a handler: `reply({ status: 503 })`, GraphQL errors… */
+const reply = (options) => new Reply(options);
+
+/** Start the fake server on a random port. */
+async function startMockShopify() {
+  const overrides = new Map();
+  const calls = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const { query, variables = {} } = JSON.parse(Buffer.concat(chunks));
+    const api = req.url.startsWith("/admin") ? "admin" : "storefront";
+    const operation = OPERATION.exec(query)?.[1] || null;
+    calls.push({ api, operation, query, variables, headers: req.headers });
+
+    const handler = overrides.get(operation) || fixtures[operation];
+    let result;
+    try {
+      result = handler
+        ? await handler(variables, { api, query })
+        : reply({
+            body: { errors: [{ message: `No fixture for ${operation}` }] },
+          });
+    } catch (err) {
+      result = reply({
+        status: 500,
+        body: { errors: [{ message: err.message }] },
+      });
+    }
+    const out =
+      result instanceof Reply ? result : reply({ body: { data: result } });
+    res.writeHead(out.status, {
+      "Content-Type": "application/json",
+      ...out.headers,
+    });
+    res.end(out.body === undefined ? "" : JSON.stringify(out.body));
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    storefrontUrl: `${base}/storefront`,
+    adminUrl: `${base}/admin`,
+    calls,
+
+    /** Answer `operation` with `handler` until reset(). */
+    on(operation, handler) {
+      overrides.set(operation, handler);
+    },
+
+    /** Calls recorded for `operation`. */
+    callsTo(operation) {
+      return calls.filter((call) => call.operation === operation);
+    },
+
+    reset() {
+      overrides.clear();
+      calls.length = 0;
+    },
+
+    close() {
+      // fetch keeps connections alive – don't wait for them to idle out
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startMockShopify, reply };
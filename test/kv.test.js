@@ -0,0 +1,30 @@
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { kvFromEnv } = require("../lib/kv");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "kv-test-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+describe("kvFromEnv", () => {
+  it("keeps entries in memory unless the variable says file", async () => {
+    delete process.env.TEST_STORE;
+    const store = kvFromEnv("TEST_STORE", { max: 1 });
+    await store.set("a", 1);
+    await store.set("b", 2);
+    assert.equal(await store.get("a"), undefined);
+    assert.equal(await store.get("b"), 2);
+    assert.equal(fs.readdirSync(dir).length, 0);
+  });
+
+  it("writes files under the <name>_DIR directory", async () => {
+    process.env.TEST_STORE = "file";
+    process.env.TEST_STORE_DIR = dir;
+    const store = kvFromEnv("TEST_STORE", { dir: "/nonexistent" });
+    await store.set("a", { n: 1 });
+    assert.deepEqual(await kvFromEnv("TEST_STORE").get("a"), { n: 1 });
+    assert.equal(fs.readdirSync(dir).length, 1);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+
+// The root logger reads LOG_LEVEL once, when first required
+process.env.LOG_LEVEL = "info";
+const {
+  redact,
+  requestLogger,
+  currentLogger,
+  traceCall,
+} = require("../lib/logger");
+const { requestId } = require("../lib/requestId");
+
+let server;
+let base;
+let lines = [];
+const write = process.stdout.write;
+
+before(async () => {
+  const app = express();
+  app.use(requestId, requestLogger);
+  app.post("/login", (req, res) => {
+    currentLogger().info("Handling login");
+    traceCall("storefront")({
+      query: "mutation Login { customerAccessTokenCreate { userErrors } }",
+      variables: { input: { email: "ada@example.com", password: "secret" } },
+      durationMs: 5,
+      attempts: 1,
+      cost: null,
+      error: null,
+    });
+    res.json({ ok: true });
+  });
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/** Send a request and collect the JSON log lines it wrote. */
+async function logged(headers = {}) {
+  lines = [];
+  process.stdout.write = (chunk, ...rest) =>
+    typeof chunk === "string" && chunk.startsWith('{"time"')
+      ? lines.push(JSON.parse(chunk))
+      : write.call(process.stdout, chunk, ...rest);
+  try {
+    const res = await fetch(`${base}/login`, { method: "POST", headers });
+    await res.text();
+    // The completion line is written once the response has finished
+    await new Promise((resolve) => setImmediate(resolve));
+    return { res, lines };
+  } finally {
+    process.stdout.write = write;
+  }
+}
+
+describe("redact", () => {
+  it("masks credentials and contact details at any depth", () => {
+    assert.deepEqual(
+      redact({
+        input: { email: "ada@example.com", password: "x", firstName: "Ada" },
+        customerAccessToken: "t",
+        buyerIdentity: { phone: "+14155550123", countryCode: "GB" },
+        lines: [{ resetUrl: "https://…", quantity: 1 }],
+      }),
+      {
+        input: {
+          email: "[REDACTED]",
+          password: "[REDACTED]",
+          firstName: "Ada",
+        },
+        customerAccessToken: "[REDACTED]",
+        buyerIdentity: { phone: "[REDACTED]", countryCode: "GB" },
+        lines: [{ resetUrl: "[REDACTED]", quantity: 1 }],
+      }
+    );
+  });
+});
+
+describe("request logging", () => {
+  it("tags every line with the incoming X-Request-Id", async () => {
+    const { res, lines } = await logged({ "X-Request-Id": "req-42" });
+    assert.equal(res.headers.get("x-request-id"), "req-42");
+    assert.deepEqual(
+      lines.map((line) => [line.msg, line.requestId]),
+      [
+        ["Handling login", "req-42"],
+        ["Request completed", "req-42"],
+      ]
+    );
+  });
+
+  it("logs the Shopify trace without personal details", async () => {
+    const { lines } = await logged();
+    const completed = lines.find((line) => line.msg === "Request completed");
+    assert.equal(completed.status, 200);
+    assert.deepEqual(completed.trace[0].variables, {
+      input: { email: "[REDACTED]", password: "[REDACTED]" },
+    });
+    assert.doesNotMatch(JSON.stringify(lines), /ada@example\.com/);
+  });
+
+  it("replaces malformed request IDs", async () => {
+    const { res, lines } = await logged({ "X-Request-Id": "bad id; drop" });
+    const id = res.headers.get("x-request-id");
+    assert.match(id, /^[0-9a-f-]{36}$/);
+    assert.equal(lines[0].requestId, id);
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createRegistry,
+  parseValue,
+  withMetafields,
+} = require("../lib/metafields");
+
+const IMAGE = { url: "https://cdn.example.com/a.jpg", altText: null };
+const PRODUCT_REF = {
+  __typename: "Product",
+  id: "gid://shopify/Product/1",
+  handle: "product-1",
+  title: "Product 1",
+};
+const PARSED_PRODUCT = {
+  kind: "Product",
+  id: PRODUCT_REF.id,
+  handle: "product-1",
+  title: "Product 1",
+};
+
+describe("parseValue", () => {
+  it("parses scalar types", () => {
+    assert.equal(parseValue("number_integer", "42"), 42);
+    assert.equal(parseValue("number_decimal", "4.5"), 4.5);
+    assert.equal(parseValue("boolean", "true"), true);
+    assert.equal(parseValue("boolean", "false"), false);
+    assert.equal(parseValue("single_line_text_field", "Hi"), "Hi");
+    assert.equal(parseValue("date", "2024-01-31"), "2024-01-31");
+    assert.equal(parseValue("boolean", null), null);
+  });
+
+  it("parses money into amount and currency code", () => {
+    assert.deepEqual(
+      parseValue("money", '{"amount":"9.99","currency_code":"EUR"}'),
+      { amount: "9.99", currencyCode: "EUR" }
+    );
+  });
+
+  it("parses JSON-valued types, keeping malformed JSON as text", () => {
+    assert.deepEqual(parseValue("json", '{"a":[1,2]}'), { a: [1, 2] });
+    assert.deepEqual(parseValue("weight", '{"value":2,"unit":"KILOGRAMS"}'), {
+      value: 2,
+      unit: "KILOGRAMS",
+    });
+    assert.equal(parseValue("json", "{oops"), "{oops");
+  });
+
+  it("parses each item of list types", () => {
+    assert.deepEqual(parseValue("list.number_integer", "[1,2,3]"), [1, 2, 3]);
+    assert.deepEqual(parseValue("list.single_line_text_field", '["a","b"]'), [
+      "a",
+      "b",
+    ]);
+    assert.deepEqual(
+      parseValue("list.rating", '[{"value":"4","scale_max":"5"}]'),
+      [{ value: "4", scale_max: "5" }]
+    );
+  });
+
+  it("resolves image and other references", () => {
+    assert.deepEqual(
+      parseValue("file_reference", "gid://shopify/MediaImage/1", {
+        __typename: "MediaImage",
+        id: "gid://shopify/MediaImage/1",
+        image: IMAGE,
+      }),
+      IMAGE
+    );
+    assert.deepEqual(
+      parseValue("product_reference", PRODUCT_REF.id, PRODUCT_REF),
+      PARSED_PRODUCT
+    );
+    assert.equal(parseValue("product_reference", PRODUCT_REF.id, null), null);
+  });
+
+  it("resolves list references", () => {
+    assert.deepEqual(
+      parseValue("list.product_reference", `["${PRODUCT_REF.id}"]`, null, {
+        nodes: [PRODUCT_REF],
+      }),
+      [PARSED_PRODUCT]
+    );
+  });
+
+  it("resolves metaobjects with every kind of field", () => {
+    const banner = {
+      __typename: "Metaobject",
+      id: "gid://shopify/Metaobject/1",
+      type: "banner",
+      handle: "summer",
+      fields: [
+        { key: "heading", type: "single_line_text_field", value: "Summer" },
+        {
+          key: "image",
+          type: "file_reference",
+          value: "gid://shopify/MediaImage/1",
+          reference: { __typename: "MediaImage", image: IMAGE },
+        },
+        {
+          key: "product",
+          type: "product_reference",
+          value: PRODUCT_REF.id,
+          reference: PRODUCT_REF,
+        },
+        {
+          key: "author",
+          type: "metaobject_reference",
+          value: "gid://shopify/Metaobject/2",
+          reference: {
+            __typename: "Metaobject",
+            id: "gid://shopify/Metaobject/2",
+            type: "author",
+            handle: "ada",
+          },
+        },
+        {
+          key: "related",
+          type: "list.product_reference",
+          value: `["${PRODUCT_REF.id}"]`,
+          references: { nodes: [PRODUCT_REF] },
+        },
+        { key: "priority", type: "number_integer", value: "2" },
+      ],
+    };
+    assert.deepEqual(parseValue("metaobject_reference", banner.id, banner), {
+      id: banner.id,
+      type: "banner",
+      handle: "summer",
+      fields: {
+        heading: "Summer",
+        image: IMAGE,
+        product: PARSED_PRODUCT,
+        author: {
+          id: "gid://shopify/Metaobject/2",
+          type: "author",
+          handle: "ada",
+        },
+        related: [PARSED_PRODUCT],
+        priority: 2,
+      },
+    });
+  });
+});
+
+describe("withMetafields", () => {
+  it("replaces the aliases with one metafields object", () => {
+    const product = withMetafields(
+      {
+        id: "gid://shopify/Product/1",
+        metafield_moneyPrice: {
+          type: "money",
+          value: '{"amount":"5.0","currency_code":"USD"}',
+        },
+      },
+      "product"
+    );
+    assert.deepEqual(product, {
+      id: "gid://shopify/Product/1",
+      metafields: { moneyPrice: { amount: "5.0", currencyCode: "USD" } },
+    });
+  });
+});
+
+describe("createRegistry", () => {
+  it("rejects unknown resources and duplicate names", () => {
+    assert.throws(() => createRegistry({ order: [] }), /unknown resource/);
+    assert.throws(
+      () =>
+        createRegistry({
+          product: [
+            { namespace: "custom", key: "a", name: "badge" },
+            { namespace: "custom", key: "b", name: "badge" },
+          ],
+        }),
+      /duplicate name/
+    );
+  });
+});
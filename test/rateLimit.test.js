@@ -0,0 +1,103 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+const { CART_ID } = require("./fixtures");
+
+const RATE_LIMITS = {
+  login: {
+    ip: { limit: 4, windowSec: 60 },
+    email: { limit: 3, windowSec: 60 },
+  },
+  cart: { ip: { limit: 2, windowSec: 60 } },
+};
+
+let api;
+before(async () => {
+  api = await startApp({
+    RATE_LIMITS: JSON.stringify(RATE_LIMITS),
+    LOGIN_LOCKOUT_ATTEMPTS: "2",
+    LOGIN_LOCKOUT_SEC: "600",
+  });
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+const login = (email, password = "secret") =>
+  api.post("/api/login", { email, password });
+
+const rejectLogins = () =>
+  api.shopify.on("Login", () => ({
+    customerAccessTokenCreate: {
+      customerAccessToken: null,
+      customerUserErrors: [
+        {
+          code: "UNIDENTIFIED_CUSTOMER",
+          field: ["input", "password"],
+          message: "Unidentified customer",
+        },
+      ],
+    },
+  }));
+
+describe("rate limits", () => {
+  it("reports the tightest window in RateLimit headers", async () => {
+    const first = await login("ada@example.com");
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get("ratelimit-limit"), "3");
+    assert.equal(first.headers.get("ratelimit-remaining"), "2");
+    assert.ok(Number(first.headers.get("ratelimit-reset")) > 0);
+    const second = await login("ada@example.com");
+    assert.equal(second.headers.get("ratelimit-remaining"), "1");
+  });
+
+  it("limits logins per email", async () => {
+    for (let i = 0; i < 3; i++) await login("Ada@Example.com");
+    const res = await login("ada@example.com");
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, "RATE_LIMITED");
+    assert.ok(Number(res.headers.get("retry-after")) > 0);
+    assert.equal(res.headers.get("ratelimit-remaining"), "0");
+    assert.equal(api.shopify.callsTo("Login").length, 3);
+  });
+
+  it("limits logins per IP across emails", async () => {
+    for (let i = 0; i < 4; i++) await login(`user${i}@example.com`);
+    const res = await login("someone@example.com");
+    assert.equal(res.status, 429);
+    assert.equal(api.shopify.callsTo("Login").length, 4);
+  });
+
+  it("limits cart mutations but not cart reads", async () => {
+    const path = `/api/cart/${encodeURIComponent(CART_ID)}`;
+    for (let i = 0; i < 2; i++)
+      assert.equal((await api.post(`${path}/note`, { note: "x" })).status, 200);
+    const res = await api.post(`${path}/note`, { note: "x" });
+    assert.equal(res.status, 429);
+    assert.equal((await api.get(path)).status, 200);
+  });
+});
+
+describe("login lockout", () => {
+  it("locks an email after repeated failed logins", async () => {
+    rejectLogins();
+    assert.equal((await login("ada@example.com", "wrong")).status, 401);
+    assert.equal((await login("ada@example.com", "wrong")).status, 401);
+    api.shopify.reset();
+    const res = await login("ada@example.com");
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, "LOGIN_LOCKED");
+    assert.ok(Number(res.headers.get("retry-after")) > 590);
+    assert.equal(api.shopify.callsTo("Login").length, 0);
+    // Other accounts are unaffected
+    assert.equal((await login("grace@example.com")).status, 200);
+  });
+
+  it("forgets failures after a successful login", async () => {
+    rejectLogins();
+    await login("ada@example.com", "wrong");
+    api.shopify.reset();
+    assert.equal((await login("ada@example.com")).status, 200);
+    rejectLogins();
+    assert.equal((await login("ada@example.com", "wrong")).status, 401);
+  });
+});
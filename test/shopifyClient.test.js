@@ -0,0 +1,145 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startMockShopify, reply } = require("./helpers/mockShopify");
+const { createShopifyClient } = require("../lib/shopifyClient");
+const {
+  ThrottledError,
+  UpstreamError,
+  UpstreamUnavailableError,
+} = require("../lib/errors");
+
+const QUERY = "query Ping { shop { name } }";
+const MUTATION = "mutation Touch { touch { ok } }";
+const SHOP = { shop: { name: "Shop" } };
+const THROTTLED = reply({
+  body: {
+    errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+  },
+});
+
+let shopify;
+before(async () => {
+  shopify = await startMockShopify();
+});
+after(() => shopify.close());
+beforeEach(() => shopify.reset());
+
+/** Client against the mock server with fast retries. */
+const client = (options) =>
+  createShopifyClient({
+    endpoint: shopify.storefrontUrl,
+    baseDelayMs: 1,
+    ...options,
+  });
+
+/** Handler answering with each of `replies` in turn, then the last one. */
+function sequence(...replies) {
+  let call = 0;
+  return () => replies[Math.min(call++, replies.length - 1)];
+}
+
+describe("retries", () => {
+  it("retries queries after a 5xx", async () => {
+    shopify.on("Ping", sequence(reply({ status: 503 }), SHOP));
+    assert.deepEqual(await client().request(QUERY), SHOP);
+    assert.equal(shopify.callsTo("Ping").length, 2);
+  });
+
+  it("retries throttled mutations but not failed ones", async () => {
+    shopify.on("Touch", sequence(THROTTLED, { touch: { ok: true } }));
+    assert.deepEqual(await client().request(MUTATION), { touch: { ok: true } });
+    shopify.reset();
+    shopify.on("Touch", () => reply({ status: 500 }));
+    await assert.rejects(client().request(MUTATION), UpstreamError);
+    assert.equal(shopify.callsTo("Touch").length, 1);
+  });
+
+  it("gives up after the configured retries", async () => {
+    shopify.on("Ping", () => reply({ status: 502 }));
+    await assert.rejects(client({ retries: 2 }).request(QUERY), UpstreamError);
+    assert.equal(shopify.callsTo("Ping").length, 3);
+  });
+
+  it("waits for Retry-After", async () => {
+    shopify.on(
+      "Ping",
+      sequence(reply({ status: 429, headers: { "Retry-After": "1" } }), SHOP)
+    );
+    const started = Date.now();
+    assert.deepEqual(await client().request(QUERY), SHOP);
+    assert.ok(Date.now() - started >= 1000);
+  });
+
+  it("passes on a Retry-After longer than maxDelayMs", async () => {
+    shopify.on("Ping", () =>
+      reply({ status: 429, headers: { "Retry-After": "30" } })
+    );
+    const started = Date.now();
+    await assert.rejects(
+      client({ maxDelayMs: 1000 }).request(QUERY),
+      (err) => err instanceof ThrottledError && err.retryAfter === 30
+    );
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(shopify.callsTo("Ping").length, 1);
+  });
+});
+
+describe("cost limiter", () => {
+  it("waits for the bucket to refill before the next query", async () => {
+    // 100 points needed, none left, 1000 restored per second: ~100ms
+    const cost = {
+      actualQueryCost: 100,
+      throttleStatus: {
+        currentlyAvailable: 0,
+        maximumAvailable: 1000,
+        restoreRate: 1000,
+      },
+    };
+    shopify.on("Ping", () =>
+      reply({ body: { data: SHOP, extensions: { cost } } })
+    );
+    const shop = client();
+    await shop.request(QUERY);
+    const started = Date.now();
+    await shop.request(QUERY);
+    assert.ok(Date.now() - started >= 90);
+  });
+});
+
+describe("circuit breaker", () => {
+  const breakerClient = () =>
+    client({ retries: 0, failureThreshold: 2, cooldownMs: 100 });
+
+  it("opens after consecutive failures and fails fast", async () => {
+    const shop = breakerClient();
+    shopify.on("Ping", () => reply({ status: 503 }));
+    for (let i = 0; i < 2; i++)
+      await assert.rejects(shop.request(QUERY), UpstreamError);
+    assert.equal(shop.circuitState, "open");
+    await assert.rejects(shop.request(QUERY), UpstreamUnavailableError);
+    assert.equal(shopify.callsTo("Ping").length, 2);
+  });
+
+  it("closes once a half-open trial succeeds", async () => {
+    const shop = breakerClient();
+    shopify.on(
+      "Ping",
+      sequence(reply({ status: 503 }), reply({ status: 503 }), SHOP)
+    );
+    for (let i = 0; i < 2; i++) await assert.rejects(shop.request(QUERY));
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    assert.equal(shop.circuitState, "half-open");
+    assert.deepEqual(await shop.request(QUERY), SHOP);
+    assert.equal(shop.circuitState, "closed");
+  });
+
+  it("reopens when the trial fails", async () => {
+    const shop = breakerClient();
+    shopify.on("Ping", () => reply({ status: 503 }));
+    for (let i = 0; i < 2; i++) await assert.rejects(shop.request(QUERY));
+    await new Promise((resolve) => setTimeout(resolve, 120));
+    await assert.rejects(shop.request(QUERY), UpstreamError);
+    assert.equal(shop.circuitState, "open");
+    assert.equal(shopify.callsTo("Ping").length, 3);
+  });
+});
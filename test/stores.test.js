@@ -0,0 +1,70 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp } = require("./helpers/app");
+
+let api;
+before(async () => {
+  api = await startApp((shopify) => {
+    const store = (id, origin) => ({
+      id,
+      domain: `${id}.myshopify.com`,
+      storefrontToken: `${id}-token`,
+      allowedOrigins: [origin],
+      storefrontEndpoint: shopify.storefrontUrl,
+    });
+    return {
+      SHOPIFY_STORES: JSON.stringify([
+        store("uk", "https://uk.example.com"),
+        store("us", "https://us.example.com"),
+      ]),
+    };
+  });
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+describe("multiple stores", () => {
+  it("picks the store from X-Store-Id and varies on it", async () => {
+    const res = await api.get("/api/products", {
+      headers: { "X-Store-Id": "us" },
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("vary"), /X-Store-Id/);
+    const [call] = api.shopify.callsTo("Products");
+    assert.equal(call.headers["x-shopify-storefront-access-token"], "us-token");
+  });
+
+  it("doesn't vary on X-Store-Id for path-prefixed requests", async () => {
+    const res = await api.get("/api/us/products");
+    assert.equal(res.status, 200);
+    assert.doesNotMatch(res.headers.get("vary") || "", /X-Store-Id/);
+  });
+
+  it("rejects Admin filters for stores without an Admin token", async () => {
+    const res = await api.get("/api/us/products?inStock=true");
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "ADMIN_NOT_CONFIGURED");
+  });
+
+  it("answers preflights for any store's origin", async () => {
+    const res = await api.request("OPTIONS", "/api/products", {
+      headers: {
+        Origin: "https://us.example.com",
+        "Access-Control-Request-Method": "GET",
+        "Access-Control-Request-Headers": "x-store-id",
+      },
+    });
+    assert.equal(res.status, 204);
+    assert.equal(
+      res.headers.get("access-control-allow-origin"),
+      "https://us.example.com"
+    );
+  });
+
+  it("checks actual requests against their own store's origins", async () => {
+    const res = await api.get("/api/products", {
+      headers: { Origin: "https://us.example.com", "X-Store-Id": "uk" },
+    });
+    assert.equal(res.headers.get("access-control-allow-origin"), null);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startApp } = require("./helpers/app");
+const { PRODUCTS } = require("./fixtures");
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+let deliveries = 0;
+
+/** Deliver a webhook signed with `secret`; each gets a fresh webhook ID. */
+function deliver(
+  topic,
+  payload,
+  { secret = "webhook-secret", id = `delivery-${++deliveries}` } = {}
+) {
+  const body = JSON.stringify(payload);
+  return api.post("/api/webhooks/shopify", body, {
+    headers: {
+      "X-Shopify-Topic": topic,
+      "X-Shopify-Shop-Domain": "shop.example.com",
+      "X-Shopify-Webhook-Id": id,
+      "X-Shopify-Hmac-Sha256": crypto
+        .createHmac("sha256", secret)
+        .update(body)
+        .digest("base64"),
+    },
+  });
+}
+
+const PRODUCT_UPDATE = {
+  id: 1,
+  admin_graphql_api_id: PRODUCTS[0].id,
+  handle: PRODUCTS[0].handle,
+};
+
+describe("POST /api/webhooks/shopify", () => {
+  it("rejects deliveries with a wrong or missing signature", async () => {
+    const forged = await deliver("products/update", PRODUCT_UPDATE, {
+      secret: "not-the-secret",
+    });
+    assert.equal(forged.status, 401);
+    const unsigned = await api.post(
+      "/api/webhooks/shopify",
+      JSON.stringify(PRODUCT_UPDATE),
+      { headers: { "X-Shopify-Topic": "products/update" } }
+    );
+    assert.equal(unsigned.status, 401);
+  });
+
+  it("purges cached responses tagged with the updated product", async () => {
+    await api.get("/api/products?first=1");
+    await api.get("/api/products?first=1");
+    assert.equal(api.shopify.callsTo("Products").length, 1);
+
+    const res = await deliver("products/update", PRODUCT_UPDATE);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, {
+      ok: true,
+      topic: "products/update",
+      purged: 1,
+    });
+    await api.get("/api/products?first=1");
+    assert.equal(api.shopify.callsTo("Products").length, 2);
+  });
+
+  it("leaves responses without the product cached", async () => {
+    await api.get("/api/products?first=1");
+    const res = await deliver("products/update", {
+      id: 3,
+      admin_graphql_api_id: PRODUCTS[2].id,
+      handle: PRODUCTS[2].handle,
+    });
+    assert.equal(res.body.purged, 0);
+    await api.get("/api/products?first=1");
+    assert.equal(api.shopify.callsTo("Products").length, 1);
+  });
+
+  it("handles a repeated delivery only once", async () => {
+    await api.get("/api/products?first=1");
+    const first = await deliver("products/update", PRODUCT_UPDATE, {
+      id: "repeated",
+    });
+    assert.equal(first.body.purged, 1);
+    await api.get("/api/products?first=1");
+    const repeat = await deliver("products/update", PRODUCT_UPDATE, {
+      id: "repeated",
+    });
+    assert.deepEqual(repeat.body, { ok: true, duplicate: true });
+    // The refilled entry survived the repeat
+    await api.get("/api/products?first=1");
+    assert.equal(api.shopify.callsTo("Products").length, 2);
+  });
+
+  it("resolves inventory updates to their product", async () => {
+    api.shopify.on("InventoryItemProduct", () => ({
+      inventoryItem: {
+        variant: {
+          product: { id: PRODUCTS[0].id, handle: PRODUCTS[0].handle },
+        },
+      },
+    }));
+    await api.get("/api/products?first=1");
+    const res = await deliver("inventory_levels/update", {
+      inventory_item_id: 42,
+    });
+    assert.equal(res.body.purged, 1);
+    const [call] = api.shopify.callsTo("InventoryItemProduct");
+    assert.equal(call.api, "admin");
+    assert.equal(call.variables.id, "gid://shopify/InventoryItem/42");
+  });
+
+  it("acknowledges topics it doesn't handle", async () => {
+    const res = await deliver("orders/create", { id: 1 });
+    assert.deepEqual(res.body, { ok: true, ignored: "orders/create" });
+  });
+});
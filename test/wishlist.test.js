@@ -0,0 +1,205 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startApp, bearer } = require("./helpers/app");
+const { TOKEN, CART_ID, CUSTOMER, PRODUCTS, variant } = require("./fixtures");
+
+let api;
+before(async () => {
+  api = await startApp();
+});
+after(() => api.close());
+beforeEach(() => api.reset());
+
+const auth = { headers: bearer(TOKEN) };
+
+/** Keep the wishlist metafield in memory across calls, like Shopify. */
+function metafieldStore() {
+  const stored = { value: null };
+  api.shopify.on("WishlistMetafield", () => ({
+    customer: { metafield: stored.value && { value: stored.value } },
+  }));
+  api.shopify.on("WishlistSave", ({ metafields }) => {
+    stored.value = metafields[0].value;
+    return { metafieldsSet: { metafields, userErrors: [] } };
+  });
+  return stored;
+}
+
+describe("wishlist", () => {
+  it("requires a customer token", async () => {
+    const res = await api.get("/api/me/wishlist");
+    assert.equal(res.status, 401);
+  });
+
+  it("GET /api/me/wishlist starts empty", async () => {
+    const res = await api.get("/api/me/wishlist", auth);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { items: [] });
+    const { variables } = api.shopify.callsTo("WishlistMetafield")[0];
+    assert.equal(variables.id, CUSTOMER.id);
+    assert.equal(api.shopify.callsTo("WishlistProducts").length, 0);
+  });
+
+  it("POST /api/me/wishlist saves products to the customer metafield", async () => {
+    const stored = metafieldStore();
+    await api.post("/api/me/wishlist", { productId: PRODUCTS[0].id }, auth);
+    const res = await api.post(
+      "/api/me/wishlist",
+      { productId: PRODUCTS[1].id, variantId: variant(2, 2).id },
+      auth
+    );
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.items.map((item) => [item.productId, item.variantId]),
+      [
+        [PRODUCTS[0].id, null],
+        [PRODUCTS[1].id, variant(2, 2).id],
+      ]
+    );
+    // Product card shape, as /all-collections
+    assert.deepEqual(res.body.items[0].product, {
+      id: PRODUCTS[0].id,
+      title: "Product 1",
+      handle: "product-1",
+      createdAt: PRODUCTS[0].createdAt,
+      description: "Description 1",
+      image: "https://cdn.example.com/product-1.jpg",
+      salePrice: "10",
+      comparePrice: "12",
+      currencyCode: "USD",
+      metafields: { moneyPrice: null },
+    });
+    const [metafield] =
+      api.shopify.callsTo("WishlistSave")[1].variables.metafields;
+    assert.equal(metafield.ownerId, CUSTOMER.id);
+    assert.equal(metafield.namespace, "custom");
+    assert.equal(metafield.key, "wishlist");
+    assert.equal(metafield.type, "json");
+    assert.equal(JSON.parse(stored.value).length, 2);
+  });
+
+  it("saving a product twice only updates its variant", async () => {
+    metafieldStore();
+    await api.post("/api/me/wishlist", { productId: PRODUCTS[0].id }, auth);
+    const res = await api.post(
+      "/api/me/wishlist",
+      { productId: PRODUCTS[0].id, variantId: variant(1, 2).id },
+      auth
+    );
+    assert.equal(res.body.items.length, 1);
+    assert.equal(res.body.items[0].variantId, variant(1, 2).id);
+  });
+
+  it("leaves out products that are no longer published", async () => {
+    metafieldStore();
+    await api.post("/api/me/wishlist", { productId: PRODUCTS[0].id }, auth);
+    await api.post(
+      "/api/me/wishlist",
+      { productId: "gid://shopify/Product/99" },
+      auth
+    );
+    const res = await api.get("/api/me/wishlist", auth);
+    assert.deepEqual(
+      res.body.items.map((item) => item.productId),
+      [PRODUCTS[0].id]
+    );
+  });
+
+  it("validates product IDs", async () => {
+    const res = await api.post(
+      "/api/me/wishlist",
+      { productId: variant(1).id },
+      auth
+    );
+    assert.equal(res.status, 422);
+  });
+
+  it("DELETE removes one product or clears the wishlist", async () => {
+    metafieldStore();
+    for (const product of PRODUCTS)
+      await api.post("/api/me/wishlist", { productId: product.id }, auth);
+    const one = await api.delete(
+      `/api/me/wishlist/${encodeURIComponent(PRODUCTS[1].id)}`,
+      auth
+    );
+    assert.deepEqual(
+      one.body.items.map((item) => item.productId),
+      [PRODUCTS[0].id, PRODUCTS[2].id]
+    );
+    const all = await api.delete("/api/me/wishlist", auth);
+    assert.deepEqual(all.body, { items: [] });
+  });
+
+  it("moves a product to the saved cart with its first available variant", async () => {
+    metafieldStore();
+    await api.post("/api/me/wishlist", { productId: PRODUCTS[0].id }, auth);
+    await api.post("/api/me/wishlist", { productId: PRODUCTS[1].id }, auth);
+    const res = await api.post(
+      "/api/me/wishlist/move-to-cart",
+      { productId: PRODUCTS[0].id, quantity: 2 },
+      auth
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.cart.id, CART_ID);
+    assert.deepEqual(
+      res.body.wishlist.items.map((item) => item.productId),
+      [PRODUCTS[1].id]
+    );
+    const { variables } = api.shopify.callsTo("CartLinesAdd")[0];
+    assert.equal(variables.cartId, CART_ID);
+    assert.deepEqual(variables.lines, [
+      { merchandiseId: variant(1).id, quantity: 2 },
+    ]);
+  });
+
+  it("moves the saved variant to the given cart", async () => {
+    metafieldStore();
+    await api.post(
+      "/api/me/wishlist",
+      { productId: PRODUCTS[1].id, variantId: variant(2, 2).id },
+      auth
+    );
+    const cartId = "gid://shopify/Cart/other?key=xyz";
+    const res = await api.post(
+      "/api/me/wishlist/move-to-cart",
+      { productId: PRODUCTS[1].id, cartId },
+      auth
+    );
+    assert.equal(res.status, 200);
+    const { variables } = api.shopify.callsTo("CartLinesAdd")[0];
+    assert.equal(variables.cartId, cartId);
+    assert.equal(variables.lines[0].merchandiseId, variant(2, 2).id);
+    assert.equal(api.shopify.callsTo("WishlistVariants").length, 0);
+  });
+
+  it("refuses to move products that aren't in the wishlist", async () => {
+    const res = await api.post(
+      "/api/me/wishlist/move-to-cart",
+      { productId: PRODUCTS[0].id },
+      auth
+    );
+    assert.equal(res.status, 404);
+    assert.equal(api.shopify.callsTo("CartLinesAdd").length, 0);
+  });
+});
+
+describe("local wishlist store", () => {
+  it("keeps wishlists without the Admin API", async () => {
+    // Required here: lib modules read the environment startApp() sets
+    const { createWishlists } = require("../lib/wishlists");
+    const { createMemoryStore } = require("../lib/kv");
+    const local = createWishlists({
+      mode: "memory",
+      store: createMemoryStore(),
+    });
+    await local.add(CUSTOMER.id, { productId: PRODUCTS[0].id });
+    await local.add(CUSTOMER.id, { productId: PRODUCTS[1].id });
+    await local.remove(CUSTOMER.id, [PRODUCTS[0].id]);
+    const items = await local.get(CUSTOMER.id);
+    assert.deepEqual(
+      items.map((item) => item.productId),
+      [PRODUCTS[1].id]
+    );
+    assert.equal(api.shopify.callsTo("WishlistSave").length, 0);
+  });
+});